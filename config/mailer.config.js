@@ -0,0 +1,39 @@
+import { config } from "dotenv";
+
+import { createSmtpDriver } from "../services/mailer/smtp.driver.js";
+import { createLocalDriver } from "../services/mailer/local.driver.js";
+
+config();
+
+// the local driver prints live verification and reset links, which must not
+// end up in production logs just because MAIL_DRIVER was forgotten
+if (!process.env.MAIL_DRIVER && process.env.NODE_ENV === "production") {
+  throw new Error("MAIL_DRIVER must be set in production");
+}
+
+// links in mails point at the client app
+export const CLIENT_BASE_URL = process.env.CLIENT_BASE_URL || "http://localhost:3000";
+
+const driverName = process.env.MAIL_DRIVER || "local";
+const from = process.env.MAIL_FROM || "V-Streamer <no-reply@localhost>";
+
+const drivers = {
+  smtp: () =>
+    createSmtpDriver({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === "true",
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS,
+      from,
+    }),
+  local: () => createLocalDriver({ outboxDir: process.env.MAIL_OUTBOX_DIR, from }),
+};
+
+if (!drivers[driverName]) {
+  throw new Error(`Unknown MAIL_DRIVER "${driverName}"`);
+}
+
+const mailer = drivers[driverName]();
+
+export default mailer;
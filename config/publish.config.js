@@ -0,0 +1,6 @@
+import { config } from "dotenv";
+
+config();
+
+// how often scheduled videos are checked for a publishAt that has passed
+export const PUBLISH_CHECK_SECONDS = Number(process.env.PUBLISH_CHECK_SECONDS) || 30;
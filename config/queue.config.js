@@ -0,0 +1,15 @@
+import { config } from "dotenv";
+
+config();
+
+// jobs one worker process runs at the same time
+export const JOB_CONCURRENCY = Number(process.env.JOB_CONCURRENCY) || 1;
+
+// attempts before a job is given up on and left as dead
+export const JOB_MAX_ATTEMPTS = Number(process.env.JOB_MAX_ATTEMPTS) || 5;
+
+// delay before the first retry, doubled for every further attempt
+export const JOB_BACKOFF_SECONDS = Number(process.env.JOB_BACKOFF_SECONDS) || 30;
+
+// how long an idle worker waits before looking for due jobs again
+export const JOB_POLL_SECONDS = Number(process.env.JOB_POLL_SECONDS) || 5;
@@ -0,0 +1,52 @@
+import { config } from "dotenv";
+
+import { createMemoryStore } from "../services/ratelimit/memory.store.js";
+import { createMongoStore } from "../services/ratelimit/mongo.store.js";
+
+config();
+
+const storeName = process.env.RATE_LIMIT_STORE || "memory";
+
+// RATE_LIMIT_ENABLED=false turns every policy off, e.g. for load tests
+export const RATE_LIMIT_ENABLED = process.env.RATE_LIMIT_ENABLED !== "false";
+
+// RATE_LIMIT_<NAME>=<limit>/<windowSeconds> overrides a policy, e.g. RATE_LIMIT_LOGIN=20/900
+const policy = (name, limit, windowSeconds, by) => {
+  const [envLimit, envWindow] = (process.env[`RATE_LIMIT_${name.toUpperCase()}`] || "").split("/");
+
+  return {
+    name,
+    limit: Number(envLimit) || limit,
+    windowSeconds: Number(envWindow) || windowSeconds,
+    by,
+  };
+};
+
+// `by: "user"` counts per signed-in user and falls back to the IP for anonymous requests
+export const RATE_LIMITS = {
+  login: policy("login", 20, 15 * 60, "ip"),
+  signup: policy("signup", 10, 60 * 60, "ip"),
+  email: policy("email", 5, 60 * 60, "user"),
+  comment: policy("comment", 10, 60, "user"),
+  reaction: policy("reaction", 60, 60, "user"),
+  report: policy("report", 20, 60 * 60, "user"),
+  upload: policy("upload", 20, 60 * 60, "user"),
+};
+
+// failed logins for one email within the window that lock it
+export const LOGIN_MAX_FAILURES = Number(process.env.LOGIN_MAX_FAILURES) || 5;
+export const LOGIN_FAILURE_WINDOW_MINUTES = Number(process.env.LOGIN_FAILURE_WINDOW_MINUTES) || 15;
+export const LOGIN_LOCKOUT_MINUTES = Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+
+const stores = {
+  memory: () => createMemoryStore(),
+  mongo: () => createMongoStore(),
+};
+
+if (!stores[storeName]) {
+  throw new Error(`Unknown RATE_LIMIT_STORE "${storeName}"`);
+}
+
+const rateLimitStore = stores[storeName]();
+
+export default rateLimitStore;
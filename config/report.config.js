@@ -0,0 +1,6 @@
+import { config } from "dotenv";
+
+config();
+
+// distinct reporters after which a video or comment is hidden for review
+export const REPORT_HIDE_THRESHOLD = Number(process.env.REPORT_HIDE_THRESHOLD) || 3;
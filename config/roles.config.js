@@ -0,0 +1,16 @@
+/**
+ * What each role may do beyond managing its own content. Everyone can edit
+ * and delete what they own; permissions only grant access to other people's
+ * content and to the admin API.
+ */
+export const ROLES = ["user", "moderator", "admin"];
+
+const MODERATOR = ["videos:remove", "comments:remove", "moderation:read", "reports:resolve"];
+
+export const PERMISSIONS = {
+  user: [],
+  moderator: MODERATOR,
+  admin: [...MODERATOR, "users:read", "users:ban", "users:role", "jobs:read", "jobs:retry"],
+};
+
+export const can = (role, permission) => Boolean(PERMISSIONS[role]?.includes(permission));
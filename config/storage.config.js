@@ -0,0 +1,27 @@
+import { config } from "dotenv";
+
+import { createCloudinaryDriver } from "../services/storage/cloudinary.driver.js";
+import { createLocalDriver } from "../services/storage/local.driver.js";
+
+config();
+
+const driverName = process.env.STORAGE_DRIVER || "cloudinary";
+
+export const LOCAL_MEDIA_ROUTE = "/media";
+
+const drivers = {
+  cloudinary: () => createCloudinaryDriver(),
+  local: () =>
+    createLocalDriver({
+      rootDir: process.env.LOCAL_STORAGE_DIR || "uploads",
+      baseUrl: `${process.env.PUBLIC_BASE_URL || ""}${LOCAL_MEDIA_ROUTE}`,
+    }),
+};
+
+if (!drivers[driverName]) {
+  throw new Error(`Unknown STORAGE_DRIVER "${driverName}"`);
+}
+
+const storage = drivers[driverName]();
+
+export default storage;
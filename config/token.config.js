@@ -0,0 +1,9 @@
+import { config } from "dotenv";
+
+config();
+
+// lifetime of an access token, in minutes
+export const ACCESS_TOKEN_TTL_MINUTES = Number(process.env.ACCESS_TOKEN_TTL_MINUTES) || 15;
+
+// lifetime of a refresh token, in days
+export const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
@@ -0,0 +1,26 @@
+import os from "os";
+import path from "path";
+import { config } from "dotenv";
+
+config();
+
+export const FFMPEG_PATH = process.env.FFMPEG_PATH || "ffmpeg";
+export const FFPROBE_PATH = process.env.FFPROBE_PATH || "ffprobe";
+
+// scratch space for sources and renditions while a video is transcoded
+export const TRANSCODE_WORK_DIR =
+  process.env.TRANSCODE_WORK_DIR || path.join(os.tmpdir(), "v-streamer-hls");
+
+// length of each HLS segment, in seconds
+export const HLS_SEGMENT_SECONDS = Number(process.env.HLS_SEGMENT_SECONDS) || 6;
+
+// bandwidth is what the master playlist advertises (video + audio, bits/s)
+export const HLS_LADDER = [
+  { name: "240p", height: 240, videoBitrate: "400k", audioBitrate: "64k", bandwidth: 500000 },
+  { name: "480p", height: 480, videoBitrate: "1200k", audioBitrate: "96k", bandwidth: 1400000 },
+  { name: "720p", height: 720, videoBitrate: "2800k", audioBitrate: "128k", bandwidth: 3000000 },
+];
+
+// candidate thumbnails are grabbed at these fractions of the duration
+export const THUMBNAIL_POSITIONS = [0.1, 0.3, 0.5, 0.7, 0.9];
+export const THUMBNAIL_HEIGHT = 360;
@@ -0,0 +1,18 @@
+import os from "os";
+import path from "path";
+import { config } from "dotenv";
+
+config();
+
+// chunks of resumable uploads are assembled here until the upload completes
+export const UPLOAD_WORK_DIR =
+  process.env.UPLOAD_WORK_DIR || path.join(os.tmpdir(), "v-streamer-uploads");
+
+// an upload session expires this long after its last chunk
+export const UPLOAD_SESSION_TTL_HOURS = Number(process.env.UPLOAD_SESSION_TTL_HOURS) || 24;
+
+// largest video accepted, whole or as a resumable upload, in MB
+export const MAX_VIDEO_UPLOAD_MB = Number(process.env.MAX_VIDEO_UPLOAD_MB) || 2048;
+
+// largest chunk accepted by a single PUT, in MB
+export const MAX_UPLOAD_CHUNK_MB = Number(process.env.MAX_UPLOAD_CHUNK_MB) || 64;
@@ -0,0 +1,9 @@
+import { config } from "dotenv";
+
+config();
+
+// a viewer counts once per video within this window
+export const VIEW_WINDOW_MINUTES = Number(process.env.VIEW_WINDOW_MINUTES) || 60;
+
+// anonymous views counted per IP and video within the window
+export const ANON_VIEWS_PER_IP = Number(process.env.ANON_VIEWS_PER_IP) || 10;
@@ -6,14 +6,37 @@ import swaggerUi from "swagger-ui-express";
 import { swaggerSpec } from "./config/swagger.js";
 
 import { ConnectDB } from "./config/db.config.js";
+import storage, { LOCAL_MEDIA_ROUTE } from "./config/storage.config.js";
+import { blockPlaybackMedia } from "./middleware/media.middleware.js";
+import { startWorker } from "./services/queue.service.js";
+import { JOB_HANDLERS } from "./services/jobs.service.js";
+import { startPublishScheduler } from "./services/scheduler.service.js";
+import { startUploadCleanup } from "./services/upload.service.js";
 import userRoutes from "./routes/user.routes.js"
 import videoRoutes from "./routes/video.routes.js"
+import uploadRoutes from "./routes/upload.routes.js"
 import commentRoutes from "./routes/comment.routes.js"
+import adminRoutes from "./routes/admin.routes.js"
+import playlistRoutes from "./routes/playlist.routes.js"
+import { notFound, errorHandler } from "./middleware/error.middleware.js";
 
 dotenv.config(); 
 
 const app= express();
-ConnectDB();
+
+// behind a reverse proxy, rate limits need the client IP from X-Forwarded-For;
+// TRUST_PROXY is a hop count, "true", or addresses as Express takes them
+const trustProxy = process.env.TRUST_PROXY;
+if (trustProxy) {
+    app.set("trust proxy", /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy === "true" || trustProxy)
+}
+
+ConnectDB().then(() => {
+  // with JOB_WORKER=off jobs are left to `npm run worker`
+  if (process.env.JOB_WORKER !== "off") startWorker(JOB_HANDLERS);
+  startPublishScheduler();
+  startUploadCleanup();
+});
 
 app.use(bodyParser.json());
 
@@ -22,12 +45,28 @@ app.use(fileUpload({
     tempFileDir:"/tmp/"
 }))
 
+// Media written by the local storage driver is served straight from disk;
+// nosniff keeps browsers to the Content-Type of each file's extension
+if (storage.name === "local") {
+    app.use(LOCAL_MEDIA_ROUTE, blockPlaybackMedia, express.static(storage.rootDir, {
+        setHeaders: (res) => res.set("X-Content-Type-Options", "nosniff")
+    }))
+}
+
 // Serve Swagger docs at /api-docs
 app.use("/api-docs", swaggerUi.serve, swaggerUi.setup(swaggerSpec));
 
 app.use("/api/v1/user",userRoutes)
+// before the video routes, whose /:id patterns would otherwise see it first
+app.use("/api/v1/video/uploads", uploadRoutes)
 app.use("/api/v1/video",videoRoutes)
 app.use("/api/v1/comment" , commentRoutes)
+app.use("/api/v1/playlist" , playlistRoutes)
+app.use("/api/v1/admin" , adminRoutes)
+
+// must stay after every route
+app.use(notFound)
+app.use(errorHandler)
 
 
 app.listen(process.env.PORT,()=>{
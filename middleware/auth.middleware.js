@@ -1,23 +1,75 @@
 import jwt from "jsonwebtoken";
 
+import User from "../models/user.model.js";
+import { isSessionRevoked } from "../services/token.service.js";
+import { hasPermission } from "../services/permission.service.js";
+import { ForbiddenError, UnauthorizedError } from "../utils/errors.js";
+
 export const checkAuth = async (req, res, next) => {
+  const token = req.headers.authorization?.split(" ")[1];
+
+  if (!token) {
+    throw new UnauthorizedError("No Token Is Provided");
+  }
+
+  //decode
+  let decodedUser;
   try {
-    const token = req.headers.authorization?.split(" ")[1];
+    decodedUser = jwt.verify(token, process.env.JWT_TOKEN);
+  } catch (error) {
+    throw error instanceof jwt.TokenExpiredError
+      ? new UnauthorizedError("Token has expired", "TOKEN_EXPIRED")
+      : new UnauthorizedError("Invalid token", "INVALID_TOKEN");
+  }
+
+  // tokens issued before sessions existed, or for a logged out session
+  if (!decodedUser.sid || (await isSessionRevoked(decodedUser.sid))) {
+    throw new UnauthorizedError("Session has ended, please log in again", "SESSION_REVOKED");
+  }
+
+  //attach user
+  req.user = decodedUser;
+  next();
+  console.log("authorized")
+};
+
+// attaches req.user when a valid token is sent, otherwise continues anonymously
+export const optionalAuth = async (req, res, next) => {
+  const token = req.headers.authorization?.split(" ")[1];
 
-    if (!token) {
-      return res.status(401).json({ error: "No Token Is Provided" });
+  if (token) {
+    try {
+      const decodedUser = jwt.verify(token, process.env.JWT_TOKEN);
+      if (decodedUser.sid && !(await isSessionRevoked(decodedUser.sid))) {
+        req.user = decodedUser;
+      }
+    } catch (error) {
+      console.log("ignoring invalid token:", error.message);
     }
-    //decode
-    const decodedUser = jwt.verify(token, process.env.JWT_TOKEN);
+  }
 
-    //attach user
-    req.user = decodedUser;
-    next();
-    console.log("authorized")
-  } catch (error) {
-    console.log(error);
-    res
-      .status(500)
-      .json({ error: "something is wrong in auth", message: error.message });
+  next();
+};
+
+// policy switch: with REQUIRE_VERIFIED_EMAIL_FOR_UPLOAD=true unverified accounts are refused
+export const requireVerifiedEmail = async (req, res, next) => {
+  if (process.env.REQUIRE_VERIFIED_EMAIL_FOR_UPLOAD !== "true") {
+    return next();
+  }
+
+  const user = await User.findById(req.user._id).select("emailVerified");
+  if (!user || !user.emailVerified) {
+    throw new ForbiddenError("Please verify your email address first", "EMAIL_NOT_VERIFIED");
   }
+
+  next();
+};
+
+// use after checkAuth; the role is read from the database on every request
+export const requirePermission = (permission) => async (req, res, next) => {
+  if (!(await hasPermission(req.user, permission))) {
+    throw new ForbiddenError("You do not have permission to do this", "PERMISSION_DENIED");
+  }
+
+  next();
 };
@@ -0,0 +1,69 @@
+import mongoose from "mongoose";
+
+import {
+  AppError,
+  BadRequestError,
+  ConflictError,
+  NotFoundError,
+  ValidationError,
+} from "../utils/errors.js";
+
+// map errors raised by libraries onto the typed hierarchy
+const normalize = (error) => {
+  if (error instanceof AppError) return error;
+
+  if (error instanceof mongoose.Error.ValidationError) {
+    return new ValidationError(
+      "Validation failed",
+      Object.values(error.errors).map((fieldError) => ({
+        location: "body",
+        field: fieldError.path,
+        message: fieldError.message,
+      }))
+    );
+  }
+
+  if (error instanceof mongoose.Error.CastError) {
+    return new ValidationError("Validation failed", [
+      { location: "params", field: error.path, message: `${error.path} is invalid` },
+    ]);
+  }
+
+  if (error.code === 11000) {
+    const field = Object.keys(error.keyValue || {})[0];
+    return new ConflictError(field ? `${field} is already in use` : "Duplicate value");
+  }
+
+  // body-parser rejects malformed JSON bodies with a 4xx status
+  if (error.type === "entity.parse.failed") {
+    return new BadRequestError("Malformed JSON body");
+  }
+
+  return new AppError("Something went wrong");
+};
+
+export const notFound = (req, res, next) => {
+  next(new NotFoundError(`Route ${req.method} ${req.originalUrl} not found`));
+};
+
+export const errorHandler = (err, req, res, next) => {
+  const error = normalize(err);
+
+  if (error.status >= 500) {
+    console.error(`${req.method} ${req.originalUrl} failed:`, err);
+  }
+
+  // a stream that fails halfway can only be cut off
+  if (res.headersSent) {
+    return res.destroy(err);
+  }
+
+  if (error.retryAfter) {
+    res.set("Retry-After", String(error.retryAfter));
+  }
+
+  const body = { code: error.code, message: error.message };
+  if (error.details) body.details = error.details;
+
+  res.status(error.status).json({ error: body });
+};
@@ -0,0 +1,30 @@
+import path from "path";
+import { NotFoundError } from "../utils/errors.js";
+
+// originals and HLS renditions are only served by the stream and HLS routes,
+// which check that the caller may open the video
+const PLAYBACK_FOLDERS = ["videos", "hls"];
+
+const topFolder = (requestPath) => {
+  // normalize first, express.static resolves "thumbnails/../videos" too
+  const [folder] = path.posix.normalize(decodeURIComponent(requestPath)).split("/").filter(Boolean);
+  return folder;
+};
+
+/**
+ * Answer 404 for playback files under the local `/media` mount, so private,
+ * draft, scheduled and hidden videos cannot be downloaded by their URL.
+ */
+export const blockPlaybackMedia = (req, res, next) => {
+  let folder;
+  try {
+    folder = topFolder(req.path);
+  } catch {
+    // malformed escapes never name a stored file
+    throw new NotFoundError("File not found");
+  }
+  if (PLAYBACK_FOLDERS.includes(folder)) {
+    throw new NotFoundError("File not found");
+  }
+  next();
+};
@@ -0,0 +1,34 @@
+import { DEFAULT_LIMIT, MAX_LIMIT, decodeCursor } from "../utils/pagination.js";
+import { ValidationError } from "../utils/errors.js";
+
+const invalid = (field, message) =>
+  new ValidationError("Validation failed", [{ location: "query", field, message }]);
+
+/**
+ * Parse `limit`, `sort` and `cursor` from the query string into `req.page`.
+ * `sorts` maps each allowed sort name to `{ field, type, direction }`, where
+ * `type` is `"date"`, `"string"` or left out for numbers; the first entry is
+ * the default.
+ */
+export const pagination = (sorts) => (req, res, next) => {
+  const limit = req.query.limit === undefined ? DEFAULT_LIMIT : Number(req.query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    return next(invalid("limit", `limit must be an integer between 1 and ${MAX_LIMIT}`));
+  }
+
+  const sort = req.query.sort || Object.keys(sorts)[0];
+  if (!Object.hasOwn(sorts, sort)) {
+    return next(invalid("sort", `sort must be one of: ${Object.keys(sorts).join(", ")}`));
+  }
+
+  let cursor = null;
+  if (req.query.cursor) {
+    cursor = decodeCursor(String(req.query.cursor), sort, sorts[sort]);
+    if (!cursor) {
+      return next(invalid("cursor", "cursor is invalid"));
+    }
+  }
+
+  req.page = { limit, sort, order: sorts[sort], cursor };
+  next();
+};
@@ -0,0 +1,36 @@
+import rateLimitStore, { RATE_LIMITS, RATE_LIMIT_ENABLED } from "../config/ratelimit.config.js";
+import { TooManyRequestsError } from "../utils/errors.js";
+
+const secondsUntil = (date) => Math.max(1, Math.ceil((date.getTime() - Date.now()) / 1000));
+
+const clientOf = (req, by) => (by === "user" && req.user ? `user:${req.user._id}` : `ip:${req.ip}`);
+
+/**
+ * Count the request against the RATE_LIMITS policy `name` and answer 429
+ * once its limit is used up for the window. Every response carries the
+ * RateLimit-* headers so clients can slow down before they hit it. Use
+ * after checkAuth for per-user policies.
+ */
+export const rateLimit = (name) => {
+  const { limit, windowSeconds, by } = RATE_LIMITS[name];
+
+  return async (req, res, next) => {
+    if (!RATE_LIMIT_ENABLED) return next();
+
+    const { count, resetAt } = await rateLimitStore.hit(`${name}:${clientOf(req, by)}`, windowSeconds);
+    const reset = secondsUntil(resetAt);
+
+    res.set({
+      "RateLimit-Policy": `${limit};w=${windowSeconds}`,
+      "RateLimit-Limit": String(limit),
+      "RateLimit-Remaining": String(Math.max(0, limit - count)),
+      "RateLimit-Reset": String(reset),
+    });
+
+    if (count > limit) {
+      throw new TooManyRequestsError("Too many requests, please try again later", "RATE_LIMITED", reset);
+    }
+
+    next();
+  };
+};
@@ -0,0 +1,48 @@
+import { ValidationError } from "../utils/errors.js";
+
+/**
+ * Validate a request against a schema of `{ params, query, body, files,
+ * headers }`, each mapping field names to rules from utils/validation.js.
+ * Failures are reported as a single ValidationError listing every invalid
+ * field.
+ *
+ * Normalized `params` and `body` values replace the originals. Express
+ * re-parses `req.query` on every access, so normalized query values are
+ * exposed as `req.validatedQuery` instead, and headers, whose names must be
+ * lowercase in the schema, as `req.validatedHeaders`.
+ */
+export const validate = (schema) => (req, res, next) => {
+  const fields = [];
+  const sources = {
+    params: req.params,
+    query: req.query,
+    body: req.body,
+    files: req.files,
+    headers: req.headers,
+  };
+
+  for (const [location, rules] of Object.entries(schema)) {
+    const source = sources[location] || {};
+    const output = {};
+
+    for (const [field, check] of Object.entries(rules)) {
+      const result = check(source[field], field);
+      if (result.error) {
+        fields.push({ location, field, message: result.error });
+      } else if (result.value !== undefined) {
+        output[field] = result.value;
+      }
+    }
+
+    if (location === "body") req.body = { ...req.body, ...output };
+    if (location === "params") Object.assign(req.params, output);
+    if (location === "query") req.validatedQuery = output;
+    if (location === "headers") req.validatedHeaders = output;
+  }
+
+  if (fields.length) {
+    return next(new ValidationError("Validation failed", fields));
+  }
+
+  next();
+};
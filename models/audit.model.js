@@ -0,0 +1,36 @@
+import mongoose from "mongoose";
+
+// append-only record of moderation decisions, automatic ones have no actor
+const auditSchema = new mongoose.Schema(
+  {
+    _id: mongoose.Schema.Types.ObjectId,
+    actor_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    action: {
+      type: String,
+      required: true,
+    },
+    targetType: {
+      type: String,
+      enum: ["video", "comment", "user", "report", "job"],
+      required: true,
+    },
+    target_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    details: mongoose.Schema.Types.Mixed,
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+auditSchema.index({ createdAt: -1, _id: -1 });
+auditSchema.index({ target_id: 1, createdAt: -1 });
+auditSchema.index({ actor_id: 1, createdAt: -1 });
+
+const auditModel = mongoose.model("AuditLog", auditSchema);
+
+export default auditModel;
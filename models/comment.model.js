@@ -6,10 +6,25 @@ const commentSchema = new mongoose.Schema(
         video_id:{type:mongoose.Schema.Types.ObjectId , ref:"Video" , required:true},
         commentText:{type:String , required:true},
         user_id:{type:mongoose.Schema.Types.ObjectId , ref:"User" , required:true},
+        // null for top-level comments; replies always point at a top-level comment
+        parent_id:{type:mongoose.Schema.Types.ObjectId , ref:"Comment" , default:null},
+        replyCount:{type:Number , default:0 , min:0},
+        likes:{type:Number , default:0 , min:0},
+        likedBy:[{type:mongoose.Schema.Types.ObjectId , ref:"User"}],
+        pinned:{type:Boolean , default:false},
+        // hidden comments are left out of every comment listing
+        hidden:{type:Boolean , default:false},
+        hiddenAt:{type:Date},
     },
     {timestamps:true}
 )
 
+commentSchema.index({video_id:1 , parent_id:1 , createdAt:-1});
+commentSchema.index({video_id:1 , parent_id:1 , likes:-1});
+commentSchema.index({parent_id:1 , createdAt:1});
+// newest comments site-wide, for the moderation queue
+commentSchema.index({createdAt:-1 , _id:-1});
+
 const Comment = mongoose.model("Comment" , commentSchema);
 
-export default Comment;
\ No newline at end of file
+export default Comment;
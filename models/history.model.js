@@ -0,0 +1,23 @@
+import mongoose from "mongoose";
+
+// one entry per user and video, updated every time the user watches it
+const historySchema = new mongoose.Schema(
+  {
+    _id: mongoose.Schema.Types.ObjectId,
+    user_id: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    video_id: { type: mongoose.Schema.Types.ObjectId, ref: "Video", required: true },
+    // playback position in seconds, where "continue watching" resumes
+    position: { type: Number, default: 0, min: 0 },
+    completed: { type: Boolean, default: false },
+    lastWatchedAt: { type: Date, default: Date.now },
+  },
+  { timestamps: true }
+);
+
+historySchema.index({ user_id: 1, video_id: 1 }, { unique: true });
+historySchema.index({ user_id: 1, lastWatchedAt: -1, _id: -1 });
+historySchema.index({ video_id: 1 });
+
+const historyModel = mongoose.model("WatchHistory", historySchema);
+
+export default historyModel;
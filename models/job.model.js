@@ -0,0 +1,69 @@
+import mongoose from "mongoose";
+
+export const JOB_STATUSES = ["queued", "running", "completed", "dead"];
+
+// background work picked up by the job worker, see services/queue.service.js
+const jobSchema = new mongoose.Schema(
+  {
+    _id: mongoose.Schema.Types.ObjectId,
+    type: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    status: {
+      type: String,
+      enum: JOB_STATUSES,
+      default: "queued",
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    maxAttempts: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    // earliest time the job may run, pushed back after every failure
+    runAt: {
+      type: Date,
+      required: true,
+    },
+    // refreshed while a worker runs the job; a stale one means the worker died
+    lockedAt: {
+      type: Date,
+      default: null,
+    },
+    lockedBy: {
+      type: String,
+      default: null,
+    },
+    lastError: {
+      type: String,
+    },
+    completedAt: {
+      type: Date,
+    },
+    diedAt: {
+      type: Date,
+    },
+  },
+  { timestamps: true }
+);
+
+// workers claim due jobs and take over ones whose worker went away
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index({ status: 1, lockedAt: 1 });
+// status API listings
+jobSchema.index({ createdAt: -1, _id: -1 });
+// completed jobs are kept for a week, dead ones until someone retries them
+jobSchema.index({ completedAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+const jobModel = mongoose.model("Job", jobSchema);
+export default jobModel;
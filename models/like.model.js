@@ -0,0 +1,20 @@
+import mongoose from "mongoose";
+
+// when a user liked a video, so the library lists likes newest first; the
+// likedBy list on the video stays the source of truth for the counters
+const likeSchema = new mongoose.Schema(
+  {
+    _id: mongoose.Schema.Types.ObjectId,
+    user_id: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    video_id: { type: mongoose.Schema.Types.ObjectId, ref: "Video", required: true },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+likeSchema.index({ user_id: 1, video_id: 1 }, { unique: true });
+likeSchema.index({ user_id: 1, createdAt: -1, _id: -1 });
+likeSchema.index({ video_id: 1 });
+
+const likeModel = mongoose.model("Like", likeSchema);
+
+export default likeModel;
@@ -0,0 +1,49 @@
+import mongoose from "mongoose";
+
+export const PLAYLIST_VISIBILITIES = ["public", "unlisted", "private"];
+export const MAX_PLAYLIST_VIDEOS = 500;
+
+const playlistSchema = new mongoose.Schema(
+  {
+    _id: mongoose.Schema.Types.ObjectId,
+    user_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+    // public playlists are listed on the channel, unlisted ones only open by
+    // link and private ones only for their owner
+    visibility: {
+      type: String,
+      enum: PLAYLIST_VISIBILITIES,
+      default: "public",
+    },
+    // in playback order
+    videos: [{ type: mongoose.Schema.Types.ObjectId, ref: "Video" }],
+    videoCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+  },
+  { timestamps: true }
+);
+
+playlistSchema.index({ user_id: 1, createdAt: -1 });
+playlistSchema.index({ user_id: 1, visibility: 1, createdAt: -1 });
+// lets deleting a video pull it from every playlist without a scan
+playlistSchema.index({ videos: 1 });
+
+const playlistModel = mongoose.model("Playlist", playlistSchema);
+
+export default playlistModel;
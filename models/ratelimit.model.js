@@ -0,0 +1,20 @@
+import mongoose from "mongoose";
+
+// one rate limit window, keyed by policy and client
+const rateLimitSchema = new mongoose.Schema({
+  _id: String,
+  count: {
+    type: Number,
+    default: 0,
+  },
+  resetAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+// mongo removes finished windows itself
+rateLimitSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+const rateLimitModel = mongoose.model("RateLimit", rateLimitSchema);
+export default rateLimitModel;
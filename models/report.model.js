@@ -0,0 +1,94 @@
+import mongoose from "mongoose";
+
+export const REPORT_REASONS = [
+  "spam",
+  "harassment",
+  "hate_speech",
+  "violence",
+  "sexual_content",
+  "misinformation",
+  "copyright",
+  "other",
+];
+
+const reporterSchema = new mongoose.Schema(
+  {
+    user_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    reason: {
+      type: String,
+      enum: REPORT_REASONS,
+      required: true,
+    },
+    details: String,
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+// one case per reported video or comment, collecting every reporter until a
+// moderator resolves or dismisses it; later reports open a new case
+const reportSchema = new mongoose.Schema(
+  {
+    _id: mongoose.Schema.Types.ObjectId,
+    targetType: {
+      type: String,
+      enum: ["video", "comment"],
+      required: true,
+    },
+    target_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: function () {
+        return this.targetType === "video" ? "Video" : "Comment";
+      },
+    },
+    reporters: [reporterSchema],
+    reporterCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    reasons: [{ type: String, enum: REPORT_REASONS }],
+    lastReportedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    status: {
+      type: String,
+      enum: ["open", "resolved", "dismissed"],
+      default: "open",
+    },
+    // what the moderator did when resolving: take the content down or keep it hidden
+    action: {
+      type: String,
+      enum: ["remove", "hide"],
+    },
+    note: String,
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    resolvedAt: Date,
+  },
+  { timestamps: true }
+);
+
+// at most one open case per target
+reportSchema.index(
+  { targetType: 1, target_id: 1 },
+  { unique: true, partialFilterExpression: { status: "open" } }
+);
+// the moderation queue, newest or most reported first
+reportSchema.index({ status: 1, lastReportedAt: -1, _id: -1 });
+reportSchema.index({ status: 1, reporterCount: -1, _id: -1 });
+
+const reportModel = mongoose.model("Report", reportSchema);
+
+export default reportModel;
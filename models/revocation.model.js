@@ -0,0 +1,21 @@
+import mongoose from "mongoose";
+
+// sessions whose access tokens must be refused until those tokens expire
+const revocationSchema = new mongoose.Schema({
+  session_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Session",
+    required: true,
+    unique: true,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+revocationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const revocationModel = mongoose.model("Revocation", revocationSchema);
+
+export default revocationModel;
@@ -0,0 +1,42 @@
+import mongoose from "mongoose";
+
+const sessionSchema = new mongoose.Schema(
+  {
+    _id: mongoose.Schema.Types.ObjectId,
+    user_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    // sha256 of the current refresh token, the token itself is never stored
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // the token it replaced, presenting it again means it was stolen
+    previousTokenHash: {
+      type: String,
+      index: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    userAgent: String,
+    ip: String,
+  },
+  { timestamps: true }
+);
+
+// mongo drops sessions once their refresh token has expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const sessionModel = mongoose.model("Session", sessionSchema);
+
+export default sessionModel;
@@ -0,0 +1,40 @@
+import mongoose from "mongoose";
+
+// single-use tokens mailed to users, e.g. to verify an email or reset a password
+const tokenSchema = new mongoose.Schema(
+  {
+    _id: mongoose.Schema.Types.ObjectId,
+    user_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    purpose: {
+      type: String,
+      enum: ["verify_email", "reset_password"],
+      required: true,
+    },
+    // sha256 of the mailed token
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    usedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+tokenSchema.index({ user_id: 1, purpose: 1 });
+tokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const tokenModel = mongoose.model("Token", tokenSchema);
+
+export default tokenModel;
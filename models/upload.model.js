@@ -0,0 +1,55 @@
+import mongoose from "mongoose";
+
+// a resumable video upload, its bytes live in UPLOAD_WORK_DIR until completed
+const uploadSchema = new mongoose.Schema(
+  {
+    _id: mongoose.Schema.Types.ObjectId,
+    user_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    filename: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    mimeType: {
+      type: String,
+      required: true,
+    },
+    // total bytes the client announced
+    size: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    // bytes received so far, the next chunk has to start here
+    offset: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    status: {
+      type: String,
+      enum: ["active", "completing"],
+      default: "active",
+    },
+    // set while a chunk is being written, so two requests never write at once
+    lockedAt: {
+      type: Date,
+      default: null,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+// the cleanup sweep removes the chunk file too, so no TTL index here
+uploadSchema.index({ expiresAt: 1 });
+
+const uploadModel = mongoose.model("UploadSession", uploadSchema);
+export default uploadModel;
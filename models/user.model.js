@@ -1,5 +1,7 @@
 import mongoose from "mongoose";
 
+import { ROLES } from "../config/roles.config.js";
+
 const userSchema = new mongoose.Schema({
     _id: mongoose.Schema.Types.ObjectId,
     channelName: {
@@ -27,6 +29,30 @@ const userSchema = new mongoose.Schema({
     type: String,
     required: true,
   },
+  emailVerified: {
+    type: Boolean,
+    default: false,
+  },
+  role: {
+    type: String,
+    enum: ROLES,
+    default: "user",
+  },
+  // set while the account is banned; banned users cannot log in
+  bannedAt: {
+    type: Date,
+    default: null,
+  },
+  banReason: String,
+  bannedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  // while true nothing new is added to the user's watch history
+  historyPaused: {
+    type: Boolean,
+    default: false,
+  },
   subscribers:{
     type: Number,
     default:0
@@ -37,6 +63,11 @@ const userSchema = new mongoose.Schema({
   }]
 },{timestamps:true});
 
+// pages through a channel's subscribers by name without scanning every user
+userSchema.index({ subscribedChannels: 1, channelName: 1, _id: 1 });
+// admin user listing, newest first
+userSchema.index({ createdAt: -1, _id: -1 });
+
 const userModel= mongoose.model("User",userSchema);
 
 export default userModel;
@@ -1,5 +1,8 @@
 import mongoose from "mongoose";
 
+export const VIDEO_VISIBILITIES = ["public", "unlisted", "private"];
+export const PUBLISH_STATUSES = ["draft", "scheduled", "published"];
+
 const videoSchema = new mongoose.Schema(
   {
     _id: mongoose.Schema.Types.ObjectId,
@@ -18,26 +21,53 @@ const videoSchema = new mongoose.Schema(
       ref: "User",
       required: true,
     },
+    // set by the job worker once the uploaded file is stored
     videoUrl: {
       type: String,
-      required: true,
       trim: true,
     },
+    videoId: {
+      type: String,
+      trim: true,
+    },
+    // filled from a generated candidate when the upload had no thumbnail
     thumbnailUrl: {
       type: String,
-      required: true,
       trim: true,
     },
     thumbnailId: {
       type: String,
-      required: true,
       trim: true,
     },
+    thumbnailCandidates: [
+      {
+        _id: false,
+        url: String,
+        id: String,
+        // seconds into the video the frame was taken at
+        time: Number,
+      },
+    ],
     category: {
       type: String,
       required: true,
       trim: true,
     },
+    duration: {
+      type: Number,
+      min: 0,
+    },
+    // what ffprobe reports about the uploaded file
+    media: {
+      width: Number,
+      height: Number,
+      // bits per second
+      bitrate: Number,
+      // bytes
+      size: Number,
+      videoCodec: String,
+      audioCodec: String,
+    },
     tags: [
       {
         type: String,
@@ -59,6 +89,46 @@ const videoSchema = new mongoose.Schema(
       default: 0,
       min: 0,
     },
+    processingStatus: {
+      type: String,
+      enum: ["queued", "processing", "ready", "failed"],
+      default: "queued",
+    },
+    processingError: {
+      type: String,
+    },
+    hlsPath: {
+      type: String,
+      trim: true,
+    },
+    renditions: [{ type: String }],
+    // set once enough distinct viewers report the video, or by a moderator
+    hidden: {
+      type: Boolean,
+      default: false,
+    },
+    hiddenAt: {
+      type: Date,
+    },
+    // unlisted videos open by link but stay out of listings, private ones
+    // only open for their owner
+    visibility: {
+      type: String,
+      enum: VIDEO_VISIBILITIES,
+      default: "public",
+    },
+    // drafts and scheduled videos behave like private ones until published
+    publishStatus: {
+      type: String,
+      enum: PUBLISH_STATUSES,
+      default: "published",
+    },
+    publishAt: {
+      type: Date,
+    },
+    publishedAt: {
+      type: Date,
+    },
     likedBy: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
     disLikedBy: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
     viewedBy: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
@@ -66,5 +136,29 @@ const videoSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+// listing routes page through these in (sort field, _id) order; newest goes
+// by publishedAt, the admin review queue by upload time
+videoSchema.index({ publishedAt: -1, _id: -1 });
+videoSchema.index({ createdAt: -1, _id: -1 });
+videoSchema.index({ views: -1, _id: -1 });
+videoSchema.index({ likes: -1, _id: -1 });
+// channel listings and the subscription feed, which merges one index range
+// per followed channel instead of sorting in memory
+videoSchema.index({ user_id: 1, publishedAt: -1, _id: -1 });
+// the owner's own videos, drafts included
+videoSchema.index({ user_id: 1, createdAt: -1, _id: -1 });
+videoSchema.index({ category: 1, publishedAt: -1 });
+videoSchema.index({ tags: 1, publishedAt: -1 });
+// scheduled videos the publish scheduler has to flip live
+videoSchema.index({ publishStatus: 1, publishAt: 1 });
+// a user's liked videos, for backfilling the library and deleting accounts
+videoSchema.index({ likedBy: 1, createdAt: -1 });
+
+// powers /video/search, title matches rank above tag and description matches
+videoSchema.index(
+  { title: "text", tags: "text", description: "text" },
+  { name: "video_text_search", weights: { title: 10, tags: 5, description: 1 } }
+);
+
 const videoModel = mongoose.model("Video", videoSchema);
 export default videoModel;
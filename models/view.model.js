@@ -0,0 +1,24 @@
+import mongoose from "mongoose";
+
+const viewSchema = new mongoose.Schema(
+  {
+    _id: mongoose.Schema.Types.ObjectId,
+    video_id: { type: mongoose.Schema.Types.ObjectId, ref: "Video", required: true },
+    // "user:<id>" for signed-in viewers, "anon:<hash>" for everyone else
+    viewerKey: { type: String, required: true },
+    user_id: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    // index of the dedup window the view fell into
+    window: { type: Number, required: true },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+// only counted views are stored, at most one per viewer per window
+viewSchema.index({ video_id: 1, viewerKey: 1, window: 1 }, { unique: true });
+viewSchema.index({ video_id: 1, createdAt: -1 });
+// raw events are only kept for recent analytics, the counter stays on the video
+viewSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+const viewModel = mongoose.model("View", viewSchema);
+
+export default viewModel;
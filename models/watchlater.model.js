@@ -0,0 +1,19 @@
+import mongoose from "mongoose";
+
+// videos a user saved to watch later, newest first
+const watchLaterSchema = new mongoose.Schema(
+  {
+    _id: mongoose.Schema.Types.ObjectId,
+    user_id: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    video_id: { type: mongoose.Schema.Types.ObjectId, ref: "Video", required: true },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+watchLaterSchema.index({ user_id: 1, video_id: 1 }, { unique: true });
+watchLaterSchema.index({ user_id: 1, createdAt: -1, _id: -1 });
+watchLaterSchema.index({ video_id: 1 });
+
+const watchLaterModel = mongoose.model("WatchLater", watchLaterSchema);
+
+export default watchLaterModel;
@@ -0,0 +1,1015 @@
+import express from "express";
+
+import User from "../models/user.model.js";
+import Video from "../models/video.model.js";
+import Comment from "../models/comment.model.js";
+import Report from "../models/report.model.js";
+import AuditLog from "../models/audit.model.js";
+import Job from "../models/job.model.js";
+import { checkAuth, requirePermission } from "../middleware/auth.middleware.js";
+import { pagination } from "../middleware/pagination.middleware.js";
+import { validate } from "../middleware/validate.middleware.js";
+import {
+  listUsersSchema,
+  userParamSchema,
+  setRoleSchema,
+  banUserSchema,
+  videoParamSchema,
+  commentParamSchema,
+  queueSchema,
+  listReportsSchema,
+  reportParamSchema,
+  resolveReportSchema,
+  dismissReportSchema,
+  listAuditSchema,
+  listJobsSchema,
+  jobParamSchema,
+} from "../validators/admin.validators.js";
+import { paginate } from "../utils/pagination.js";
+import {
+  BadRequestError,
+  ConflictError,
+  ForbiddenError,
+  NotFoundError,
+} from "../utils/errors.js";
+import { banUser, unbanUser } from "../services/account.service.js";
+import { deleteVideo } from "../services/video.service.js";
+import { deleteComment } from "../services/comment.service.js";
+import { closeReport, setHidden } from "../services/report.service.js";
+import { recordAudit } from "../services/audit.service.js";
+import { retryJob } from "../services/queue.service.js";
+
+const router = express.Router();
+
+// every admin route needs a signed-in user; each one adds its own permission
+router.use(checkAuth);
+
+const NEWEST = { newest: { field: "createdAt", type: "date" } };
+
+const REPORT_SORTS = {
+  newest: { field: "lastReportedAt", type: "date" },
+  most_reported: { field: "reporterCount" },
+};
+
+const USER_FIELDS = "-password -subscribedChannels";
+const AUTHOR_FIELDS = ["user_id", "channelName logoUrl"];
+// a report target is either a video or a comment
+const TARGET_FIELDS = ["target_id", "title thumbnailUrl commentText video_id user_id hidden"];
+
+const QUEUES = {
+  videos: { model: Video, filter: {}, select: "-likedBy -disLikedBy" },
+  comments: { model: Comment, filter: {}, select: "-likedBy" },
+  failed: { model: Video, filter: { processingStatus: "failed" }, select: "-likedBy -disLikedBy" },
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * @swagger
+ * tags:
+ *   name: Admin
+ *   description: Moderation and user management for moderators and admins
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AdminUser:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         channelName:
+ *           type: string
+ *         email:
+ *           type: string
+ *         role:
+ *           type: string
+ *           enum: [user, moderator, admin]
+ *         emailVerified:
+ *           type: boolean
+ *         bannedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         banReason:
+ *           type: string
+ *         subscribers:
+ *           type: number
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/v1/admin/users:
+ *   get:
+ *     summary: List users, newest first (Admin)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Matches channel name or email
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *           enum: [user, moderator, admin]
+ *       - in: query
+ *         name: banned
+ *         schema:
+ *           type: boolean
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
+ *     responses:
+ *       200:
+ *         description: Page of users
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 users:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AdminUser'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *       403:
+ *         description: Missing the users:read permission
+ */
+router.get(
+  "/users",
+  requirePermission("users:read"),
+  validate(listUsersSchema),
+  pagination(NEWEST),
+  async (req, res) => {
+    const { q, role, banned } = req.validatedQuery;
+
+    const filter = {};
+    if (q) {
+      const pattern = new RegExp(escapeRegex(q), "i");
+      filter.$or = [{ channelName: pattern }, { email: pattern }];
+    }
+    if (role) filter.role = role;
+    if (banned !== undefined) filter.bannedAt = banned ? { $ne: null } : null;
+
+    const { items, pagination } = await paginate(User, filter, req.page, {
+      select: USER_FIELDS,
+    });
+
+    res.status(200).json({ users: items, pagination });
+    console.log("(Admin)list users");
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/admin/users/{id}/role:
+ *   put:
+ *     summary: Change a user's role (Admin)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [role]
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [user, moderator, admin]
+ *     responses:
+ *       200:
+ *         description: Role changed
+ *       400:
+ *         description: Invalid role, or trying to change your own role
+ *       403:
+ *         description: Missing the users:role permission
+ *       404:
+ *         description: User not found
+ */
+router.put("/users/:id/role", requirePermission("users:role"), validate(setRoleSchema), async (req, res) => {
+  const { id } = req.params;
+
+  // keeps the last admin from locking everyone out by demoting themselves
+  if (id === req.user._id.toString()) {
+    throw new BadRequestError("You cannot change your own role", "CANNOT_CHANGE_OWN_ROLE");
+  }
+
+  const user = await User.findById(id).select(USER_FIELDS);
+  if (!user) {
+    throw new NotFoundError("User Not Found");
+  }
+
+  const previousRole = user.role;
+  user.role = req.body.role;
+  await user.save();
+
+  await recordAudit({
+    actorId: req.user._id,
+    action: "user.role_changed",
+    targetType: "user",
+    targetId: user._id,
+    details: { from: previousRole, to: user.role },
+  });
+
+  res.status(200).json({ message: "Role updated successfully", user });
+  console.log(`(Admin)role of ${id} set to ${req.body.role} by ${req.user._id}`);
+});
+
+/**
+ * @swagger
+ * /api/v1/admin/users/{id}/ban:
+ *   post:
+ *     summary: Ban a user (Admin)
+ *     description: Ends every session of the user and blocks logging in until unbanned. Admins cannot be banned; demote them first.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reason]
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: "Repeated harassment in comments"
+ *     responses:
+ *       200:
+ *         description: User banned
+ *       400:
+ *         description: Missing reason, or trying to ban yourself
+ *       403:
+ *         description: Missing the users:ban permission, or the target is an admin
+ *       404:
+ *         description: User not found
+ */
+router.post("/users/:id/ban", requirePermission("users:ban"), validate(banUserSchema), async (req, res) => {
+  const { id } = req.params;
+
+  if (id === req.user._id.toString()) {
+    throw new BadRequestError("You cannot ban yourself", "CANNOT_BAN_SELF");
+  }
+
+  const user = await User.findById(id);
+  if (!user) {
+    throw new NotFoundError("User Not Found");
+  }
+  if (user.role === "admin") {
+    throw new ForbiddenError("Admins cannot be banned", "CANNOT_BAN_ADMIN");
+  }
+
+  await banUser(user, { reason: req.body.reason, bannedBy: req.user._id });
+  await recordAudit({
+    actorId: req.user._id,
+    action: "user.banned",
+    targetType: "user",
+    targetId: user._id,
+    details: { reason: req.body.reason },
+  });
+
+  res.status(200).json({
+    message: "User banned successfully",
+    user: { _id: user._id, bannedAt: user.bannedAt, banReason: user.banReason },
+  });
+  console.log(`(Admin)user ${id} banned by ${req.user._id}`);
+});
+
+/**
+ * @swagger
+ * /api/v1/admin/users/{id}/unban:
+ *   post:
+ *     summary: Lift a user's ban (Admin)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: User unbanned
+ *       403:
+ *         description: Missing the users:ban permission
+ *       404:
+ *         description: User not found
+ */
+router.post("/users/:id/unban", requirePermission("users:ban"), validate(userParamSchema), async (req, res) => {
+  const user = await User.findById(req.params.id);
+  if (!user) {
+    throw new NotFoundError("User Not Found");
+  }
+
+  await unbanUser(user);
+  await recordAudit({
+    actorId: req.user._id,
+    action: "user.unbanned",
+    targetType: "user",
+    targetId: user._id,
+  });
+
+  res.status(200).json({ message: "User unbanned successfully" });
+  console.log(`(Admin)user ${user._id} unbanned by ${req.user._id}`);
+});
+
+/**
+ * @swagger
+ * /api/v1/admin/videos/{id}:
+ *   delete:
+ *     summary: Remove any video (Moderator)
+ *     description: Removes the video with its stored media, comments and view events.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Video removed
+ *       403:
+ *         description: Missing the videos:remove permission
+ *       404:
+ *         description: Video not found
+ */
+router.delete("/videos/:id", requirePermission("videos:remove"), validate(videoParamSchema), async (req, res) => {
+  const video = await Video.findById(req.params.id);
+  if (!video) {
+    throw new NotFoundError("Video not found");
+  }
+
+  await deleteVideo(video);
+  await recordAudit({
+    actorId: req.user._id,
+    action: "video.removed",
+    targetType: "video",
+    targetId: video._id,
+    details: { title: video.title, owner_id: video.user_id },
+  });
+
+  res.status(200).json({ message: "Video removed successfully" });
+  console.log(`(Admin)video ${video._id} removed by ${req.user._id}`);
+});
+
+/**
+ * @swagger
+ * /api/v1/admin/comments/{id}:
+ *   delete:
+ *     summary: Remove any comment (Moderator)
+ *     description: Removing a top-level comment also removes its replies.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Comment removed
+ *       403:
+ *         description: Missing the comments:remove permission
+ *       404:
+ *         description: Comment not found
+ */
+router.delete("/comments/:id", requirePermission("comments:remove"), validate(commentParamSchema), async (req, res) => {
+  const comment = await Comment.findById(req.params.id);
+  if (!comment) {
+    throw new NotFoundError("Comment not found");
+  }
+
+  await deleteComment(comment);
+  await recordAudit({
+    actorId: req.user._id,
+    action: "comment.removed",
+    targetType: "comment",
+    targetId: comment._id,
+    details: { video_id: comment.video_id, author_id: comment.user_id },
+  });
+
+  res.status(200).json({ message: "Comment removed successfully" });
+  console.log(`(Admin)comment ${comment._id} removed by ${req.user._id}`);
+});
+
+/**
+ * @swagger
+ * /api/v1/admin/queues/{queue}:
+ *   get:
+ *     summary: Browse a moderation queue, newest first (Moderator)
+ *     description: "`videos` lists recent uploads, `comments` recent comments and `failed` videos whose processing failed."
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: queue
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [videos, comments, failed]
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
+ *     responses:
+ *       200:
+ *         description: Page of the queue, each item with its author
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 queue:
+ *                   type: string
+ *                 items:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *       403:
+ *         description: Missing the moderation:read permission
+ */
+router.get(
+  "/queues/:queue",
+  requirePermission("moderation:read"),
+  validate(queueSchema),
+  pagination(NEWEST),
+  async (req, res) => {
+    const { queue } = req.params;
+    const { model, filter, select } = QUEUES[queue];
+
+    const { items, pagination } = await paginate(model, filter, req.page, {
+      select,
+      populate: AUTHOR_FIELDS,
+    });
+
+    res.status(200).json({ queue, items, pagination });
+    console.log(`(Admin)get ${queue} queue`);
+  }
+);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Report:
+ *       type: object
+ *       description: All reports on one video or comment until a moderator closes them
+ *       properties:
+ *         _id:
+ *           type: string
+ *         targetType:
+ *           type: string
+ *           enum: [video, comment]
+ *         target_id:
+ *           type: object
+ *           description: The reported video or comment, null once deleted
+ *         reporterCount:
+ *           type: number
+ *         reasons:
+ *           type: array
+ *           items:
+ *             type: string
+ *         lastReportedAt:
+ *           type: string
+ *           format: date-time
+ *         status:
+ *           type: string
+ *           enum: [open, resolved, dismissed]
+ *         action:
+ *           type: string
+ *           enum: [remove, hide]
+ *         note:
+ *           type: string
+ *         resolvedBy:
+ *           type: string
+ *         resolvedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/v1/admin/reports:
+ *   get:
+ *     summary: Review queue of reported content (Moderator)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [open, resolved, dismissed]
+ *           default: open
+ *       - in: query
+ *         name: targetType
+ *         schema:
+ *           type: string
+ *           enum: [video, comment]
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [newest, most_reported]
+ *           default: newest
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
+ *     responses:
+ *       200:
+ *         description: Page of reports with their targets
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 reports:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Report'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *       403:
+ *         description: Missing the moderation:read permission
+ */
+router.get(
+  "/reports",
+  requirePermission("moderation:read"),
+  validate(listReportsSchema),
+  pagination(REPORT_SORTS),
+  async (req, res) => {
+    const { status = "open", targetType } = req.validatedQuery;
+
+    const filter = { status };
+    if (targetType) filter.targetType = targetType;
+
+    const { items, pagination } = await paginate(Report, filter, req.page, {
+      select: "-reporters",
+      populate: TARGET_FIELDS,
+    });
+
+    res.status(200).json({ reports: items, pagination });
+    console.log("(Admin)get report queue");
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/admin/reports/{id}:
+ *   get:
+ *     summary: Get a report with every reporter (Moderator)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The report, its target and its reporters
+ *       403:
+ *         description: Missing the moderation:read permission
+ *       404:
+ *         description: Report not found
+ */
+router.get("/reports/:id", requirePermission("moderation:read"), validate(reportParamSchema), async (req, res) => {
+  const report = await Report.findById(req.params.id)
+    .populate(...TARGET_FIELDS)
+    .populate("reporters.user_id", "channelName logoUrl");
+  if (!report) {
+    throw new NotFoundError("Report not found");
+  }
+
+  res.status(200).json(report);
+  console.log("(Admin)get report");
+});
+
+// 404 for unknown reports, 409 for ones another moderator already closed
+const openReportOrThrow = async (reportId) => {
+  const report = await Report.findById(reportId).select("status");
+  if (!report) {
+    throw new NotFoundError("Report not found");
+  }
+  if (report.status !== "open") {
+    throw new ConflictError("Report has already been closed", "REPORT_CLOSED");
+  }
+};
+
+/**
+ * @swagger
+ * /api/v1/admin/reports/{id}/resolve:
+ *   post:
+ *     summary: Resolve a report by removing or hiding the content (Moderator)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [action]
+ *             properties:
+ *               action:
+ *                 type: string
+ *                 enum: [remove, hide]
+ *                 description: "`remove` deletes the content, `hide` keeps it out of listings"
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Report resolved
+ *       403:
+ *         description: Missing the reports:resolve permission
+ *       404:
+ *         description: Report not found
+ *       409:
+ *         description: Report was already closed
+ */
+router.post("/reports/:id/resolve", requirePermission("reports:resolve"), validate(resolveReportSchema), async (req, res) => {
+  const { action, note } = req.body;
+  await openReportOrThrow(req.params.id);
+
+  const report = await closeReport(req.params.id, "resolved", {
+    action,
+    note,
+    moderatorId: req.user._id,
+  });
+  if (!report) {
+    throw new ConflictError("Report has already been closed", "REPORT_CLOSED");
+  }
+
+  if (action === "remove") {
+    if (report.targetType === "video") {
+      const video = await Video.findById(report.target_id);
+      if (video) await deleteVideo(video);
+    } else {
+      const comment = await Comment.findById(report.target_id);
+      if (comment) await deleteComment(comment);
+    }
+  } else {
+    await setHidden(report.targetType, report.target_id, true);
+  }
+
+  await recordAudit({
+    actorId: req.user._id,
+    action: "report.resolved",
+    targetType: "report",
+    targetId: report._id,
+    details: { action, note, targetType: report.targetType, target_id: report.target_id },
+  });
+
+  res.status(200).json({ message: "Report resolved", report });
+  console.log(`(Admin)report ${report._id} resolved by ${req.user._id}`);
+});
+
+/**
+ * @swagger
+ * /api/v1/admin/reports/{id}/dismiss:
+ *   post:
+ *     summary: Dismiss a report and restore hidden content (Moderator)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Report dismissed
+ *       403:
+ *         description: Missing the reports:resolve permission
+ *       404:
+ *         description: Report not found
+ *       409:
+ *         description: Report was already closed
+ */
+router.post("/reports/:id/dismiss", requirePermission("reports:resolve"), validate(dismissReportSchema), async (req, res) => {
+  const { note } = req.body;
+  await openReportOrThrow(req.params.id);
+
+  const report = await closeReport(req.params.id, "dismissed", {
+    note,
+    moderatorId: req.user._id,
+  });
+  if (!report) {
+    throw new ConflictError("Report has already been closed", "REPORT_CLOSED");
+  }
+
+  const restored = await setHidden(report.targetType, report.target_id, false);
+
+  await recordAudit({
+    actorId: req.user._id,
+    action: "report.dismissed",
+    targetType: "report",
+    targetId: report._id,
+    details: {
+      note,
+      targetType: report.targetType,
+      target_id: report.target_id,
+      restored: Boolean(restored),
+    },
+  });
+
+  res.status(200).json({ message: "Report dismissed", report });
+  console.log(`(Admin)report ${report._id} dismissed by ${req.user._id}`);
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Job:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         type:
+ *           type: string
+ *           example: "video.transcode"
+ *         payload:
+ *           type: object
+ *         status:
+ *           type: string
+ *           enum: [queued, running, completed, dead]
+ *         attempts:
+ *           type: number
+ *         maxAttempts:
+ *           type: number
+ *         runAt:
+ *           type: string
+ *           format: date-time
+ *           description: Earliest time the job runs, pushed back after each failure
+ *         lockedBy:
+ *           type: string
+ *           nullable: true
+ *           description: Worker running the job
+ *         lastError:
+ *           type: string
+ *         completedAt:
+ *           type: string
+ *           format: date-time
+ *         diedAt:
+ *           type: string
+ *           format: date-time
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/v1/admin/jobs:
+ *   get:
+ *     summary: Background jobs, newest first (Admin)
+ *     description: "Types are `video.store`, `video.transcode`, `video.thumbnails`, `storage.remove` and `storage.removeFolder`. Completed jobs are kept for 7 days, dead ones until they are retried."
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [queued, running, completed, dead]
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
+ *     responses:
+ *       200:
+ *         description: Page of jobs
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 jobs:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Job'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *       403:
+ *         description: Missing the jobs:read permission
+ */
+router.get(
+  "/jobs",
+  requirePermission("jobs:read"),
+  validate(listJobsSchema),
+  pagination(NEWEST),
+  async (req, res) => {
+    const { status, type } = req.validatedQuery;
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (type) filter.type = type;
+
+    const { items, pagination } = await paginate(Job, filter, req.page);
+
+    res.status(200).json({ jobs: items, pagination });
+    console.log("(Admin)get jobs");
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/admin/jobs/{id}:
+ *   get:
+ *     summary: Get a background job (Admin)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: The job
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Job'
+ *       403:
+ *         description: Missing the jobs:read permission
+ *       404:
+ *         description: Job not found
+ */
+router.get("/jobs/:id", requirePermission("jobs:read"), validate(jobParamSchema), async (req, res) => {
+  const job = await Job.findById(req.params.id);
+  if (!job) {
+    throw new NotFoundError("Job not found");
+  }
+
+  res.status(200).json(job);
+  console.log("(Admin)get job");
+});
+
+/**
+ * @swagger
+ * /api/v1/admin/jobs/{id}/retry:
+ *   post:
+ *     summary: Queue a dead job again with fresh attempts (Admin)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Job queued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 job:
+ *                   $ref: '#/components/schemas/Job'
+ *       403:
+ *         description: Missing the jobs:retry permission
+ *       404:
+ *         description: Job not found
+ *       409:
+ *         description: Only dead jobs can be retried
+ */
+router.post("/jobs/:id/retry", requirePermission("jobs:retry"), validate(jobParamSchema), async (req, res) => {
+  const job = await retryJob(req.params.id);
+  if (!job) {
+    if (!(await Job.exists({ _id: req.params.id }))) {
+      throw new NotFoundError("Job not found");
+    }
+    throw new ConflictError("Only dead jobs can be retried", "JOB_NOT_DEAD");
+  }
+
+  await recordAudit({
+    actorId: req.user._id,
+    action: "job.retried",
+    targetType: "job",
+    targetId: job._id,
+    details: { type: job.type },
+  });
+
+  res.status(200).json({ message: "Job queued", job });
+  console.log(`(Admin)job ${job._id} retried by ${req.user._id}`);
+});
+
+/**
+ * @swagger
+ * /api/v1/admin/audit:
+ *   get:
+ *     summary: Audit trail of moderation decisions, newest first (Moderator)
+ *     description: "Actions include `content.auto_hidden`, `report.resolved`, `report.dismissed`, `video.removed`, `comment.removed`, `user.banned`, `user.unbanned`, `user.role_changed` and `job.retried`. Automatic actions have no actor."
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: actor
+ *         schema:
+ *           type: string
+ *         description: User ID of the moderator or admin
+ *       - in: query
+ *         name: target
+ *         schema:
+ *           type: string
+ *         description: ID of the affected video, comment, user or report
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
+ *     responses:
+ *       200:
+ *         description: Page of audit entries
+ *       403:
+ *         description: Missing the moderation:read permission
+ */
+router.get(
+  "/audit",
+  requirePermission("moderation:read"),
+  validate(listAuditSchema),
+  pagination(NEWEST),
+  async (req, res) => {
+    const { action, actor, target } = req.validatedQuery;
+
+    const filter = {};
+    if (action) filter.action = action;
+    if (actor) filter.actor_id = actor;
+    if (target) filter.target_id = target;
+
+    const { items, pagination } = await paginate(AuditLog, filter, req.page, {
+      populate: ["actor_id", "channelName"],
+    });
+
+    res.status(200).json({ entries: items, pagination });
+    console.log("(Admin)get audit trail");
+  }
+);
+
+export default router;
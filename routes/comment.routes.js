@@ -1,10 +1,44 @@
 import express from "express";
 import mongoose from "mongoose";
 import Comment from "../models/comment.model.js";
+import Video from "../models/video.model.js";
 import { checkAuth } from "../middleware/auth.middleware.js";
+import { rateLimit } from "../middleware/ratelimit.middleware.js";
+import { pagination } from "../middleware/pagination.middleware.js";
+import { validate } from "../middleware/validate.middleware.js";
+import {
+  newCommentSchema,
+  updateCommentSchema,
+  commentParamSchema,
+  videoCommentsSchema,
+  reportCommentSchema,
+} from "../validators/comment.validators.js";
+import { paginate } from "../utils/pagination.js";
+import { BadRequestError, ConflictError, NotFoundError } from "../utils/errors.js";
+import { toggleCommentLike } from "../services/reaction.service.js";
+import { deleteComment } from "../services/comment.service.js";
+import { assertOwner, assertOwnerOr } from "../services/permission.service.js";
+import { reportContent } from "../services/report.service.js";
+import { recordAudit } from "../services/audit.service.js";
+import { findOpenableVideo } from "../services/video.service.js";
 
 const router = express.Router();
 
+const COMMENT_SORTS = {
+  newest: { field: "createdAt", type: "date" },
+  top: { field: "likes" },
+};
+
+// replies read like a conversation, oldest first
+const REPLY_SORTS = {
+  oldest: { field: "createdAt", type: "date", direction: 1 },
+};
+
+const AUTHOR_FIELDS = ["user_id", "channelName logoUrl"];
+
+// listings leave out comments hidden by reports or moderators
+const LISTED = { hidden: { $ne: true } };
+
 /**
  * @swagger
  * tags:
@@ -31,6 +65,19 @@ const router = express.Router();
  *         user_id:
  *           type: string
  *           example: "507f1f77bcf86cd799439013"
+ *         parent_id:
+ *           type: string
+ *           nullable: true
+ *           description: Top-level comment this is a reply to, null for top-level comments
+ *         replyCount:
+ *           type: number
+ *           example: 3
+ *         likes:
+ *           type: number
+ *           example: 12
+ *         pinned:
+ *           type: boolean
+ *           description: Pinned by the video owner
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -58,6 +105,15 @@ const router = express.Router();
  *             logoUrl:
  *               type: string
  *               example: "https://example.com/logo.jpg"
+ *         parent_id:
+ *           type: string
+ *           nullable: true
+ *         replyCount:
+ *           type: number
+ *         likes:
+ *           type: number
+ *         pinned:
+ *           type: boolean
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -68,7 +124,7 @@ const router = express.Router();
 
 /**
  * @swagger
- * /api/v1/comments/new:
+ * /api/v1/comment/new:
  *   post:
  *     summary: Add a new comment to a video
  *     tags: [Comments]
@@ -92,6 +148,10 @@ const router = express.Router();
  *                 type: string
  *                 description: The comment text
  *                 example: "This video is amazing!"
+ *               parent_id:
+ *                 type: string
+ *                 description: Comment to reply to. Replies to a reply are attached to its top-level comment.
+ *                 example: "507f1f77bcf86cd799439014"
  *     responses:
  *       201:
  *         description: Comment added successfully
@@ -109,46 +169,55 @@ const router = express.Router();
  *         description: Missing required fields
  *       401:
  *         description: Unauthorized - user not authenticated
+ *       404:
+ *         description: Video not found or not open to you, or parent comment not found on this video
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
  *       500:
  *         description: Server error
  */
-router.post("/new", checkAuth, async (req, res) => {
-  try {
-    const { video_id, commentText } = req.body;
-
-    if (!video_id || !commentText) {
-      return res
-        .status(400)
-        .json({ error: "Video ID and Comment Text are required" });
-    }
+router.post("/new", checkAuth, rateLimit("comment"), validate(newCommentSchema), async (req, res) => {
+  const { video_id, commentText, parent_id } = req.body;
 
-    const newComment = new Comment({
-      _id: new mongoose.Types.ObjectId(),
-      video_id,
-      commentText,
-      user_id: req.user._id,
-    });
+  await findOpenableVideo(video_id, req.user);
 
-    await newComment.save();
+  let parentId = null;
+  if (parent_id) {
+    const parent = await Comment.findById(parent_id);
 
-    res.status(201).json({
-      message: "Comment Added Successfully",
-      comment: newComment,
-    });
-    console.log("new comments posted");
-  } catch (error) {
-    console.log(error);
-    res
-      .status(500)
-      .json({ error: "something went wrong", message: error.message });
+    if (!parent || parent.video_id.toString() !== video_id) {
+      throw new NotFoundError("Parent comment not found");
+    }
+    // threads are one level deep, replies to replies join the same thread
+    parentId = parent.parent_id || parent._id;
   }
+
+  const newComment = new Comment({
+    _id: new mongoose.Types.ObjectId(),
+    video_id,
+    commentText,
+    user_id: req.user._id,
+    parent_id: parentId,
+  });
+
+  await newComment.save();
+  if (parentId) {
+    await Comment.updateOne({ _id: parentId }, { $inc: { replyCount: 1 } });
+  }
+
+  res.status(201).json({
+    message: "Comment Added Successfully",
+    comment: newComment,
+  });
+  console.log("new comments posted");
 });
 
 /**
  * @swagger
- * /api/v1/comments/{commentId}:
+ * /api/v1/comment/{commentId}:
  *   delete:
  *     summary: Delete a comment
+ *     description: Deleting a top-level comment also deletes its replies.
  *     tags: [Comments]
  *     security:
  *       - bearerAuth: []
@@ -171,42 +240,45 @@ router.post("/new", checkAuth, async (req, res) => {
  *                   type: string
  *                   example: "Comment Deleted Successfully"
  *       403:
- *         description: Forbidden - user doesn't own the comment
+ *         description: Forbidden - user doesn't own the comment and is not a moderator
  *       404:
  *         description: Comment not found
  *       500:
  *         description: Server error
  */
-router.delete("/:commentId", checkAuth, async (req, res) => {
-  try {
-    const { commentId } = req.params;
+router.delete("/:commentId", checkAuth, validate(commentParamSchema), async (req, res) => {
+  const { commentId } = req.params;
 
-    const comment = await Comment.findById(commentId);
+  const comment = await Comment.findById(commentId);
 
-    if (!comment) {
-      return res.status(404).json({ error: "Comment not found" });
-    }
+  if (!comment) {
+    throw new NotFoundError("Comment not found");
+  }
 
-    if (comment.user_id.toString() !== req.user._id) {
-      return res
-        .status(403)
-        .json({ error: "Unauthorized to delete this comment" });
-    }
+  const isOwner = await assertOwnerOr(
+    req.user,
+    comment.user_id,
+    "comments:remove",
+    "Unauthorized to delete this comment"
+  );
 
-    await Comment.findByIdAndDelete(commentId);
-    res.status(200).json({ message: "Comment Deleted Successfully" });
-    console.log("comment deleted by user");
-  } catch (error) {
-    console.log(error);
-    res
-      .status(500)
-      .json({ error: "something went wrong", message: error.message });
+  await deleteComment(comment);
+  if (!isOwner) {
+    await recordAudit({
+      actorId: req.user._id,
+      action: "comment.removed",
+      targetType: "comment",
+      targetId: comment._id,
+      details: { video_id: comment.video_id, author_id: comment.user_id },
+    });
   }
+  res.status(200).json({ message: "Comment Deleted Successfully" });
+  console.log("comment deleted by user");
 });
 
 /**
  * @swagger
- * /api/v1/comments/{commentId}:
+ * /api/v1/comment/{commentId}:
  *   put:
  *     summary: Update a comment
  *     tags: [Comments]
@@ -252,39 +324,30 @@ router.delete("/:commentId", checkAuth, async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.put("/:commentId", checkAuth, async (req, res) => {
-  try {
-    const { commentId } = req.params;
-    const { commentText } = req.body;
+router.put("/:commentId", checkAuth, validate(updateCommentSchema), async (req, res) => {
+  const { commentId } = req.params;
+  const { commentText } = req.body;
 
-    const comment = await Comment.findById(commentId);
+  const comment = await Comment.findById(commentId);
 
-    if (!comment) {
-      return res.status(401).json({ error: "Comment not found" });
-    }
+  if (!comment) {
+    throw new NotFoundError("Comment not found");
+  }
 
-    if (comment.user_id.toString() !== req.user._id) {
-      return res
-        .status(403)
-        .json({ error: "Unauthorized to delete this comment" });
-    }
+  assertOwner(req.user, comment.user_id, "Unauthorized to update this comment");
 
-    comment.commentText = commentText;
-    await comment.save();
-    res.status(200).json({ message: "Comment updated successfully", comment });
-    console.log("comment Updated succesfully");
-  } catch (error) {
-    res
-      .status(500)
-      .json({ error: "something went wrong", message: error.message });
-  }
+  comment.commentText = commentText;
+  await comment.save();
+  res.status(200).json({ message: "Comment updated successfully", comment });
+  console.log("comment Updated succesfully");
 });
 
 /**
  * @swagger
- * /api/v1/comments/{videoId}:
+ * /api/v1/comment/{videoId}:
  *   get:
- *     summary: Get all comments for a video
+ *     summary: Get top-level comments for a video
+ *     description: The pinned comment is returned separately on the first page and left out of `comments`. Fetch replies with `/comment/{commentId}/replies`.
  *     tags: [Comments]
  *     security:
  *       - bearerAuth: []
@@ -295,37 +358,313 @@ router.put("/:commentId", checkAuth, async (req, res) => {
  *         schema:
  *           type: string
  *         description: ID of the video to get comments for
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [newest, top]
+ *           default: newest
  *     responses:
  *       200:
- *         description: List of comments retrieved successfully
+ *         description: Page of top-level comments
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
+ *                 pinned:
+ *                   nullable: true
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/CommentWithUser'
  *                 comments:
  *                   type: array
  *                   items:
  *                     $ref: '#/components/schemas/CommentWithUser'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         description: Invalid video ID, limit, sort or cursor
+ *       404:
+ *         description: Video not found or not open to you
+ *       500:
+ *         description: Server error
+ */
+router.get("/:videoId", checkAuth, validate(videoCommentsSchema), pagination(COMMENT_SORTS), async (req, res) => {
+  const { videoId } = req.params;
+
+  await findOpenableVideo(videoId, req.user);
+
+  const filter = { ...LISTED, video_id: videoId, parent_id: null, pinned: { $ne: true } };
+  const { items, pagination } = await paginate(Comment, filter, req.page, {
+    select: "-likedBy",
+    populate: AUTHOR_FIELDS,
+  });
+
+  const pinned = req.page.cursor
+    ? undefined
+    : await Comment.findOne({ ...LISTED, video_id: videoId, pinned: true })
+        .select("-likedBy")
+        .populate(...AUTHOR_FIELDS);
+
+  res.status(200).json({ pinned, comments: items, pagination });
+  console.log("get comments");
+});
+
+/**
+ * @swagger
+ * /api/v1/comment/{commentId}/replies:
+ *   get:
+ *     summary: Get replies to a comment, oldest first
+ *     tags: [Comments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: commentId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the top-level comment
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
+ *     responses:
+ *       200:
+ *         description: Page of replies
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 replies:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/CommentWithUser'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         description: Invalid comment ID, limit or cursor
+ *       404:
+ *         description: Comment not found, or its video is not open to you
  *       500:
  *         description: Server error
  */
-router.get("/:videoId", checkAuth, async (req, res) => {
-  try {
-    const { videoId } = req.params;
-
-    const comments = await Comment.find({ video_id: videoId })
-      .populate("user_id", "channelName logoUrl")
-      .sort({ createdAt: -1 });
-
-    res.status(200).json({ comments });
-    console.log("get comments");
-  } catch (error) {
-    console.log(error);
-    res
-      .status(500)
-      .json({ error: "something went wrong", message: error.message });
+router.get("/:commentId/replies", checkAuth, validate(commentParamSchema), pagination(REPLY_SORTS), async (req, res) => {
+  const { commentId } = req.params;
+
+  const comment = await Comment.findById(commentId).select("video_id");
+  if (!comment) {
+    throw new NotFoundError("Comment not found");
   }
+  await findOpenableVideo(comment.video_id, req.user);
+
+  const { items, pagination } = await paginate(
+    Comment,
+    { ...LISTED, parent_id: commentId },
+    req.page,
+    { select: "-likedBy", populate: AUTHOR_FIELDS }
+  );
+
+  res.status(200).json({ replies: items, pagination });
+  console.log("get replies");
+});
+
+/**
+ * @swagger
+ * /api/v1/comment/{commentId}/like:
+ *   post:
+ *     summary: Toggle a like on a comment
+ *     tags: [Comments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: commentId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Like added or removed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 liked:
+ *                   type: boolean
+ *                 likes:
+ *                   type: number
+ *       400:
+ *         description: Invalid comment ID
+ *       404:
+ *         description: Comment not found, or its video is not open to you
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       500:
+ *         description: Server error
+ */
+router.post("/:commentId/like", checkAuth, rateLimit("reaction"), validate(commentParamSchema), async (req, res) => {
+  const { commentId } = req.params;
+
+  const comment = await Comment.findById(commentId).select("video_id");
+  if (!comment) {
+    throw new NotFoundError("Comment not found");
+  }
+  await findOpenableVideo(comment.video_id, req.user);
+
+  const result = await toggleCommentLike(commentId, req.user._id);
+  if (!result) {
+    throw new NotFoundError("Comment not found");
+  }
+
+  res.status(200).json(result);
+  console.log("comment like toggled");
+});
+
+const setPinned = (pinned) => async (req, res) => {
+  const { commentId } = req.params;
+
+  const comment = await Comment.findById(commentId);
+  if (!comment) {
+    throw new NotFoundError("Comment not found");
+  }
+
+  if (comment.parent_id) {
+    throw new BadRequestError("Only top-level comments can be pinned", "REPLY_CANNOT_BE_PINNED");
+  }
+
+  const video = await Video.findById(comment.video_id).select("user_id");
+  if (!video) {
+    throw new NotFoundError("Video not found");
+  }
+  assertOwner(req.user, video.user_id, "Only the video owner can pin comments");
+
+  // a video has at most one pinned comment
+  if (pinned) {
+    await Comment.updateMany(
+      { video_id: comment.video_id, pinned: true },
+      { pinned: false }
+    );
+  }
+  comment.pinned = pinned;
+  await comment.save();
+
+  res.status(200).json({
+    message: pinned ? "Comment pinned" : "Comment unpinned",
+    comment,
+  });
+  console.log(pinned ? "comment pinned" : "comment unpinned");
+};
+
+/**
+ * @swagger
+ * /api/v1/comment/{commentId}/pin:
+ *   post:
+ *     summary: Pin a comment to the top of its video (video owner only)
+ *     description: Pinning replaces any comment already pinned on the video.
+ *     tags: [Comments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: commentId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Comment pinned
+ *       400:
+ *         description: Invalid comment ID or comment is a reply
+ *       403:
+ *         description: Caller does not own the video
+ *       404:
+ *         description: Comment not found
+ *       500:
+ *         description: Server error
+ */
+router.post("/:commentId/pin", checkAuth, validate(commentParamSchema), setPinned(true));
+
+/**
+ * @swagger
+ * /api/v1/comment/{commentId}/unpin:
+ *   post:
+ *     summary: Unpin a comment (video owner only)
+ *     tags: [Comments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: commentId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Comment unpinned
+ *       400:
+ *         description: Invalid comment ID or comment is a reply
+ *       403:
+ *         description: Caller does not own the video
+ *       404:
+ *         description: Comment not found
+ *       500:
+ *         description: Server error
+ */
+router.post("/:commentId/unpin", checkAuth, validate(commentParamSchema), setPinned(false));
+
+/**
+ * @swagger
+ * /api/v1/comment/{commentId}/report:
+ *   post:
+ *     summary: Report a comment
+ *     description: Each user can report a comment once while its report is open. Comments reported by enough distinct users are hidden until a moderator reviews them.
+ *     tags: [Comments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: commentId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ReportRequest'
+ *     responses:
+ *       201:
+ *         description: Report submitted
+ *       400:
+ *         description: Invalid reason, or reporting your own comment
+ *       404:
+ *         description: Comment not found, or its video is not open to you
+ *       409:
+ *         description: You already reported this comment
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ */
+router.post("/:commentId/report", checkAuth, rateLimit("report"), validate(reportCommentSchema), async (req, res) => {
+  const comment = await Comment.findById(req.params.commentId).select("user_id video_id");
+  if (!comment) {
+    throw new NotFoundError("Comment not found");
+  }
+  await findOpenableVideo(comment.video_id, req.user);
+  if (comment.user_id.toString() === req.user._id.toString()) {
+    throw new BadRequestError("You cannot report your own comment", "CANNOT_REPORT_OWN_CONTENT");
+  }
+
+  const report = await reportContent("comment", comment._id, req.user._id, req.body);
+  if (!report) {
+    throw new ConflictError("You have already reported this comment", "ALREADY_REPORTED");
+  }
+
+  res.status(201).json({ message: "Report submitted", reportId: report._id });
+  console.log("comment reported");
 });
 
 export default router;
@@ -0,0 +1,538 @@
+import express from "express";
+import mongoose from "mongoose";
+
+import Playlist from "../models/playlist.model.js";
+import Video from "../models/video.model.js";
+import { checkAuth, optionalAuth } from "../middleware/auth.middleware.js";
+import { pagination } from "../middleware/pagination.middleware.js";
+import { validate } from "../middleware/validate.middleware.js";
+import {
+  createPlaylistSchema,
+  updatePlaylistSchema,
+  playlistParamSchema,
+  channelPlaylistsSchema,
+  addVideoSchema,
+  playlistVideoSchema,
+  reorderPlaylistSchema,
+} from "../validators/playlist.validators.js";
+import { paginate } from "../utils/pagination.js";
+import { BadRequestError, ConflictError, NotFoundError } from "../utils/errors.js";
+import { assertOwner } from "../services/permission.service.js";
+import {
+  addToPlaylist,
+  removeFromPlaylist,
+  reorderPlaylist,
+  isSameVideos,
+} from "../services/playlist.service.js";
+import { openableBy, LINKABLE_VIDEOS } from "../services/video.service.js";
+import { MAX_PLAYLIST_VIDEOS } from "../models/playlist.model.js";
+
+const router = express.Router();
+
+const PLAYLIST_SORTS = {
+  newest: { field: "createdAt", type: "date" },
+};
+
+// listings carry the count, the full video list comes with GET /:id
+const SUMMARY_FIELDS = "-videos";
+
+// video cards shown inside a playlist; hidden videos and videos the viewer
+// may not open drop out
+const videoCards = (user) => ({
+  path: "videos",
+  select: "title thumbnailUrl duration views createdAt user_id",
+  match: { hidden: { $ne: true }, ...(user ? openableBy(user._id) : LINKABLE_VIDEOS) },
+  populate: { path: "user_id", select: "channelName logoUrl" },
+});
+
+// private playlists look the same as missing ones to everyone but the owner
+const findViewable = async (id, user) => {
+  const playlist = await Playlist.findById(id);
+  if (
+    !playlist ||
+    (playlist.visibility === "private" && playlist.user_id.toString() !== user?._id)
+  ) {
+    throw new NotFoundError("Playlist not found");
+  }
+  return playlist;
+};
+
+const findOwned = async (id, user) => {
+  const playlist = await Playlist.findById(id);
+  if (!playlist) {
+    throw new NotFoundError("Playlist not found");
+  }
+  assertOwner(user, playlist.user_id, "Only the owner can change this playlist");
+  return playlist;
+};
+
+/**
+ * @swagger
+ * tags:
+ *   name: Playlists
+ *   description: Ordered collections of videos
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Playlist:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         user_id:
+ *           type: string
+ *         title:
+ *           type: string
+ *           example: "Node.js from scratch"
+ *         description:
+ *           type: string
+ *         visibility:
+ *           type: string
+ *           enum: [public, unlisted, private]
+ *         videoCount:
+ *           type: number
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *     VideoCard:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         title:
+ *           type: string
+ *         thumbnailUrl:
+ *           type: string
+ *         duration:
+ *           type: number
+ *         views:
+ *           type: number
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         user_id:
+ *           $ref: '#/components/schemas/ChannelSummary'
+ *     PlaylistWithVideos:
+ *       allOf:
+ *         - $ref: '#/components/schemas/Playlist'
+ *         - type: object
+ *           properties:
+ *             videos:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/VideoCard'
+ *     PlaylistPage:
+ *       type: object
+ *       properties:
+ *         playlists:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/Playlist'
+ *         pagination:
+ *           $ref: '#/components/schemas/Pagination'
+ */
+
+/**
+ * @swagger
+ * /api/v1/playlist:
+ *   post:
+ *     summary: Create a playlist
+ *     tags: [Playlists]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [title]
+ *             properties:
+ *               title:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               visibility:
+ *                 type: string
+ *                 enum: [public, unlisted, private]
+ *                 default: public
+ *     responses:
+ *       201:
+ *         description: Playlist created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Playlist'
+ *       400:
+ *         description: Validation failed
+ */
+router.post("/", checkAuth, validate(createPlaylistSchema), async (req, res) => {
+  const { title, description, visibility } = req.body;
+
+  const playlist = await Playlist.create({
+    _id: new mongoose.Types.ObjectId(),
+    user_id: req.user._id,
+    title,
+    description,
+    visibility,
+  });
+
+  res.status(201).json(playlist);
+  console.log("playlist created");
+});
+
+/**
+ * @swagger
+ * /api/v1/playlist/me:
+ *   get:
+ *     summary: List your playlists, including unlisted and private ones
+ *     tags: [Playlists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
+ *     responses:
+ *       200:
+ *         description: Page of playlists
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PlaylistPage'
+ */
+router.get("/me", checkAuth, pagination(PLAYLIST_SORTS), async (req, res) => {
+  const { items, pagination } = await paginate(
+    Playlist,
+    { user_id: req.user._id },
+    req.page,
+    { select: SUMMARY_FIELDS }
+  );
+
+  res.status(200).json({ playlists: items, pagination });
+  console.log("get my playlists");
+});
+
+/**
+ * @swagger
+ * /api/v1/playlist/channel/{channelId}:
+ *   get:
+ *     summary: List a channel's public playlists (Public)
+ *     tags: [Playlists]
+ *     parameters:
+ *       - in: path
+ *         name: channelId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
+ *     responses:
+ *       200:
+ *         description: Page of playlists
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PlaylistPage'
+ */
+router.get(
+  "/channel/:channelId",
+  validate(channelPlaylistsSchema),
+  pagination(PLAYLIST_SORTS),
+  async (req, res) => {
+    const { items, pagination } = await paginate(
+      Playlist,
+      { user_id: req.params.channelId, visibility: "public" },
+      req.page,
+      { select: SUMMARY_FIELDS }
+    );
+
+    res.status(200).json({ playlists: items, pagination });
+    console.log("get channel playlists");
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/playlist/{id}:
+ *   get:
+ *     summary: Get a playlist with its videos in order (Public, token optional)
+ *     description: Public and unlisted playlists are open to anyone with the ID, private ones only to their owner.
+ *     tags: [Playlists]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The playlist with populated video cards
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PlaylistWithVideos'
+ *       404:
+ *         description: Playlist not found
+ */
+router.get("/:id", validate(playlistParamSchema), optionalAuth, async (req, res) => {
+  const playlist = await findViewable(req.params.id, req.user);
+  await playlist.populate([videoCards(req.user), { path: "user_id", select: "channelName logoUrl" }]);
+
+  res.status(200).json(playlist);
+  console.log("get playlist");
+});
+
+/**
+ * @swagger
+ * /api/v1/playlist/{id}:
+ *   put:
+ *     summary: Update a playlist's title, description or visibility
+ *     tags: [Playlists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               visibility:
+ *                 type: string
+ *                 enum: [public, unlisted, private]
+ *     responses:
+ *       200:
+ *         description: Playlist updated
+ *       400:
+ *         description: Nothing to update
+ *       403:
+ *         description: Caller does not own the playlist
+ *       404:
+ *         description: Playlist not found
+ */
+router.put("/:id", checkAuth, validate(updatePlaylistSchema), async (req, res) => {
+  const { title, description, visibility } = req.body;
+  if (title === undefined && description === undefined && visibility === undefined) {
+    throw new BadRequestError("Provide title, description or visibility to update", "NOTHING_TO_UPDATE");
+  }
+
+  const playlist = await findOwned(req.params.id, req.user);
+  if (title !== undefined) playlist.title = title;
+  if (description !== undefined) playlist.description = description;
+  if (visibility !== undefined) playlist.visibility = visibility;
+  await playlist.save();
+
+  res.status(200).json({ message: "Playlist updated successfully", playlist });
+  console.log("playlist updated");
+});
+
+/**
+ * @swagger
+ * /api/v1/playlist/{id}:
+ *   delete:
+ *     summary: Delete a playlist
+ *     description: The videos themselves are not affected.
+ *     tags: [Playlists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Playlist deleted
+ *       403:
+ *         description: Caller does not own the playlist
+ *       404:
+ *         description: Playlist not found
+ */
+router.delete("/:id", checkAuth, validate(playlistParamSchema), async (req, res) => {
+  const playlist = await findOwned(req.params.id, req.user);
+  await Playlist.findByIdAndDelete(playlist._id);
+
+  res.status(200).json({ message: "Playlist deleted successfully" });
+  console.log("playlist deleted");
+});
+
+/**
+ * @swagger
+ * /api/v1/playlist/{id}/videos:
+ *   post:
+ *     summary: Add a video to a playlist
+ *     tags: [Playlists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [videoId]
+ *             properties:
+ *               videoId:
+ *                 type: string
+ *               position:
+ *                 type: integer
+ *                 minimum: 0
+ *                 description: Zero-based index to insert at, appends when omitted
+ *     responses:
+ *       200:
+ *         description: Video added
+ *       400:
+ *         description: Playlist is full
+ *       403:
+ *         description: Caller does not own the playlist
+ *       404:
+ *         description: Playlist or video not found
+ *       409:
+ *         description: Video is already in the playlist
+ */
+router.post("/:id/videos", checkAuth, validate(addVideoSchema), async (req, res) => {
+  const { videoId, position } = req.body;
+  const playlist = await findOwned(req.params.id, req.user);
+
+  if (!(await Video.exists({ _id: videoId, ...openableBy(req.user._id) }))) {
+    throw new NotFoundError("Video not found");
+  }
+
+  const updated = await addToPlaylist(playlist._id, videoId, position);
+  if (!updated) {
+    const current = await Playlist.findById(playlist._id).select("videos");
+    if (current && current.videos.some((id) => id.toString() === videoId)) {
+      throw new ConflictError("Video is already in this playlist", "ALREADY_IN_PLAYLIST");
+    }
+    throw new BadRequestError(
+      `A playlist can hold at most ${MAX_PLAYLIST_VIDEOS} videos`,
+      "PLAYLIST_FULL"
+    );
+  }
+
+  res.status(200).json({ message: "Video added to playlist", videos: updated.videos });
+  console.log("video added to playlist");
+});
+
+/**
+ * @swagger
+ * /api/v1/playlist/{id}/videos/{videoId}:
+ *   delete:
+ *     summary: Remove a video from a playlist
+ *     tags: [Playlists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: videoId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Video removed
+ *       403:
+ *         description: Caller does not own the playlist
+ *       404:
+ *         description: Playlist not found or video not in it
+ */
+router.delete("/:id/videos/:videoId", checkAuth, validate(playlistVideoSchema), async (req, res) => {
+  const playlist = await findOwned(req.params.id, req.user);
+
+  const updated = await removeFromPlaylist(playlist._id, req.params.videoId);
+  if (!updated) {
+    throw new NotFoundError("Video is not in this playlist");
+  }
+
+  res.status(200).json({ message: "Video removed from playlist", videos: updated.videos });
+  console.log("video removed from playlist");
+});
+
+/**
+ * @swagger
+ * /api/v1/playlist/{id}/order:
+ *   put:
+ *     summary: Reorder a playlist
+ *     description: Send every video ID of the playlist exactly once, in the new order.
+ *     tags: [Playlists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [videos]
+ *             properties:
+ *               videos:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Playlist reordered
+ *       400:
+ *         description: The list does not match the playlist's videos
+ *       403:
+ *         description: Caller does not own the playlist
+ *       404:
+ *         description: Playlist not found
+ *       409:
+ *         description: The playlist changed meanwhile, reload and retry
+ */
+router.put("/:id/order", checkAuth, validate(reorderPlaylistSchema), async (req, res) => {
+  const { videos } = req.body;
+  const playlist = await findOwned(req.params.id, req.user);
+
+  if (!isSameVideos(playlist, videos)) {
+    throw new BadRequestError(
+      "videos must list every video of the playlist exactly once",
+      "PLAYLIST_MISMATCH"
+    );
+  }
+
+  const updated = await reorderPlaylist(playlist, videos);
+  if (!updated) {
+    throw new ConflictError("The playlist changed, reload it and try again", "PLAYLIST_CHANGED");
+  }
+
+  res.status(200).json({ message: "Playlist reordered", videos: updated.videos });
+  console.log("playlist reordered");
+});
+
+export default router;
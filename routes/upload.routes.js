@@ -0,0 +1,398 @@
+import express from "express";
+
+import { checkAuth, requireVerifiedEmail } from "../middleware/auth.middleware.js";
+import { rateLimit } from "../middleware/ratelimit.middleware.js";
+import { validate } from "../middleware/validate.middleware.js";
+import {
+  createUploadSchema,
+  uploadParamSchema,
+  uploadChunkSchema,
+  completeUploadSchema,
+} from "../validators/video.validators.js";
+import { AppError, BadRequestError, ConflictError, NotFoundError } from "../utils/errors.js";
+import {
+  createUpload,
+  findUpload,
+  lockUpload,
+  writeChunk,
+  lockCompletion,
+  releaseCompletion,
+  removeUpload,
+  describeUpload,
+  uploadFilePath,
+} from "../services/upload.service.js";
+import { createVideo } from "../services/video.service.js";
+
+const router = express.Router();
+
+const CHUNK_TYPES = ["application/offset+octet-stream", "application/octet-stream"];
+
+const findOwnUpload = async (uploadId, user) => {
+  const upload = await findUpload(uploadId, user._id);
+  if (!upload) {
+    throw new NotFoundError("Upload not found");
+  }
+  return upload;
+};
+
+// resumable clients read the offset from headers, like tus does
+const setUploadHeaders = (res, upload) =>
+  res.set({
+    "Upload-Offset": String(upload.offset),
+    "Upload-Length": String(upload.size),
+    "Cache-Control": "no-store",
+  });
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     UploadSession:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         filename:
+ *           type: string
+ *           example: "holiday.mp4"
+ *         mimeType:
+ *           type: string
+ *           example: "video/mp4"
+ *         size:
+ *           type: number
+ *           description: Total size of the file in bytes
+ *         offset:
+ *           type: number
+ *           description: Bytes received so far, where the next chunk starts
+ *         status:
+ *           type: string
+ *           enum: [active, completing]
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the unfinished upload is discarded, moved forward by every chunk
+ */
+
+/**
+ * @swagger
+ * /api/v1/video/uploads:
+ *   post:
+ *     summary: Start a resumable video upload
+ *     description: >
+ *       For large files that should survive dropped connections. Send the
+ *       file in chunks with PUT, check progress with GET and turn it into a
+ *       video with POST /complete.
+ *     tags: [Videos]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - filename
+ *               - mimeType
+ *               - size
+ *             properties:
+ *               filename:
+ *                 type: string
+ *               mimeType:
+ *                 type: string
+ *                 example: "video/mp4"
+ *               size:
+ *                 type: integer
+ *                 description: Total size in bytes, at most MAX_VIDEO_UPLOAD_MB
+ *     responses:
+ *       201:
+ *         description: Upload started
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 upload:
+ *                   $ref: '#/components/schemas/UploadSession'
+ *       400:
+ *         description: Invalid file name, type or size
+ *       403:
+ *         description: Email not verified (when REQUIRE_VERIFIED_EMAIL_FOR_UPLOAD is on)
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ */
+router.post("/", checkAuth, rateLimit("upload"), requireVerifiedEmail, validate(createUploadSchema), async (req, res) => {
+  const upload = await createUpload(req.user._id, req.body);
+
+  setUploadHeaders(res, upload);
+  res
+    .status(201)
+    .location(`${req.baseUrl}/${upload._id}`)
+    .json({ upload: describeUpload(upload) });
+  console.log("Upload started");
+});
+
+/**
+ * @swagger
+ * /api/v1/video/uploads/{uploadId}:
+ *   get:
+ *     summary: Get the progress of a resumable upload
+ *     description: Also answers HEAD. The `Upload-Offset` header carries the offset to resume from.
+ *     tags: [Videos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: uploadId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Upload progress
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 upload:
+ *                   $ref: '#/components/schemas/UploadSession'
+ *       404:
+ *         description: Upload not found or expired
+ */
+router.get("/:uploadId", checkAuth, validate(uploadParamSchema), async (req, res) => {
+  const upload = await findOwnUpload(req.params.uploadId, req.user);
+
+  setUploadHeaders(res, upload);
+  res.status(200).json({ upload: describeUpload(upload) });
+  console.log("get upload progress");
+});
+
+/**
+ * @swagger
+ * /api/v1/video/uploads/{uploadId}:
+ *   put:
+ *     summary: Send the next chunk of a resumable upload
+ *     description: >
+ *       The raw bytes go in the body. `Upload-Offset` must match the offset
+ *       the server has; if the connection drops, ask for the offset again and
+ *       continue from there. Chunks are at most `MAX_UPLOAD_CHUNK_MB`.
+ *     tags: [Videos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: uploadId
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: header
+ *         name: Upload-Offset
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: Byte position of the chunk within the file
+ *       - in: header
+ *         name: Content-Length
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/offset+octet-stream:
+ *           schema:
+ *             type: string
+ *             format: binary
+ *         application/octet-stream:
+ *           schema:
+ *             type: string
+ *             format: binary
+ *     responses:
+ *       200:
+ *         description: Chunk stored
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 upload:
+ *                   $ref: '#/components/schemas/UploadSession'
+ *       400:
+ *         description: Missing headers, or the chunk runs past the announced size
+ *       404:
+ *         description: Upload not found or expired
+ *       409:
+ *         description: Offset does not match, another chunk is being written, or the upload is completing
+ *       415:
+ *         description: Body is not sent as application/offset+octet-stream or application/octet-stream
+ */
+router.put("/:uploadId", checkAuth, validate(uploadChunkSchema), async (req, res) => {
+  const offset = req.validatedHeaders["upload-offset"];
+  const length = req.validatedHeaders["content-length"];
+
+  if (!req.is(CHUNK_TYPES)) {
+    throw new AppError(`Chunks must be sent as ${CHUNK_TYPES.join(" or ")}`, {
+      status: 415,
+      code: "UNSUPPORTED_MEDIA_TYPE",
+    });
+  }
+
+  const upload = await findOwnUpload(req.params.uploadId, req.user);
+  if (upload.status !== "active") {
+    throw new ConflictError("Upload is already being completed", "UPLOAD_COMPLETING");
+  }
+  if (offset !== upload.offset) {
+    throw new AppError("Upload-Offset does not match the received bytes", {
+      status: 409,
+      code: "OFFSET_MISMATCH",
+      details: { offset: upload.offset },
+    });
+  }
+  if (offset + length > upload.size) {
+    throw new BadRequestError("Chunk runs past the announced upload size", "CHUNK_TOO_LARGE");
+  }
+
+  const locked = await lockUpload(upload, offset);
+  if (!locked) {
+    throw new ConflictError("Another chunk of this upload is being written", "UPLOAD_BUSY");
+  }
+
+  const updated = await writeChunk(locked, req);
+
+  setUploadHeaders(res, updated);
+  res.status(200).json({ upload: describeUpload(updated) });
+  console.log("Upload chunk stored");
+});
+
+/**
+ * @swagger
+ * /api/v1/video/uploads/{uploadId}/complete:
+ *   post:
+ *     summary: Turn a fully received upload into a video
+ *     description: Takes the same fields as /video/upload, with the assembled file in place of `video`.
+ *     tags: [Videos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: uploadId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - title
+ *               - description
+ *               - category
+ *             properties:
+ *               title:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               category:
+ *                 type: string
+ *               tags:
+ *                 type: string
+ *               visibility:
+ *                 type: string
+ *                 enum: [public, unlisted, private]
+ *               draft:
+ *                 type: boolean
+ *               publishAt:
+ *                 type: string
+ *                 format: date-time
+ *               thumbnail:
+ *                 type: string
+ *                 format: binary
+ *                 description: Optional, candidates are generated from the video when left out
+ *     responses:
+ *       200:
+ *         description: Video uploaded successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Video'
+ *       400:
+ *         description: Invalid fields or thumbnail
+ *       404:
+ *         description: Upload not found or expired
+ *       409:
+ *         description: Bytes are still missing, or the upload is busy or already completing
+ */
+router.post(
+  "/:uploadId/complete",
+  checkAuth,
+  requireVerifiedEmail,
+  validate(completeUploadSchema),
+  async (req, res) => {
+    const upload = await findOwnUpload(req.params.uploadId, req.user);
+    if (upload.offset < upload.size) {
+      throw new AppError("Upload is missing bytes", {
+        status: 409,
+        code: "UPLOAD_INCOMPLETE",
+        details: { offset: upload.offset, size: upload.size },
+      });
+    }
+
+    const locked = await lockCompletion(upload);
+    if (!locked) {
+      throw new ConflictError("Upload is busy or already being completed", "UPLOAD_BUSY");
+    }
+
+    const thumbnail = req.files?.thumbnail;
+    const video = await createVideo(req.user._id, req.body, {
+      video: { filePath: uploadFilePath(locked), mimeType: locked.mimeType },
+      thumbnail: thumbnail && { filePath: thumbnail.tempFilePath, mimeType: thumbnail.mimetype },
+    }).catch(async (error) => {
+      await releaseCompletion(locked);
+      throw error;
+    });
+
+    await removeUpload(locked);
+
+    res.status(200).json({ message: "Video uploaded successfully", video });
+    console.log("Video uploaded");
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/video/uploads/{uploadId}:
+ *   delete:
+ *     summary: Cancel a resumable upload and discard its bytes
+ *     tags: [Videos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: uploadId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Upload cancelled
+ *       404:
+ *         description: Upload not found or expired
+ *       409:
+ *         description: Upload is already being completed
+ */
+router.delete("/:uploadId", checkAuth, validate(uploadParamSchema), async (req, res) => {
+  const upload = await findOwnUpload(req.params.uploadId, req.user);
+  if (upload.status !== "active") {
+    throw new ConflictError("Upload is already being completed", "UPLOAD_COMPLETING");
+  }
+
+  await removeUpload(upload);
+
+  res.status(200).json({ message: "Upload cancelled" });
+  console.log("Upload cancelled");
+});
+
+export default router;
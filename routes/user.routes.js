@@ -1,13 +1,93 @@
 import express from "express";
 import bcrypt from "bcrypt";
 import mongoose from "mongoose";
-import jwt from "jsonwebtoken";
 
 import User from "../models/user.model.js";
-import cloudinary from "../config/cloudinary.js";
+import Video from "../models/video.model.js";
+import WatchHistory from "../models/history.model.js";
+import WatchLater from "../models/watchlater.model.js";
+import Like from "../models/like.model.js";
+import storage from "../config/storage.config.js";
+import { checkAuth } from "../middleware/auth.middleware.js";
+import { rateLimit } from "../middleware/ratelimit.middleware.js";
+import { pagination } from "../middleware/pagination.middleware.js";
+import { validate } from "../middleware/validate.middleware.js";
+import {
+  signupSchema,
+  loginSchema,
+  refreshSchema,
+  tokenSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  channelParamSchema,
+  userParamSchema,
+  updateProfileSchema,
+  changePasswordSchema,
+  changeLogoSchema,
+  deleteAccountSchema,
+  historySchema,
+  libraryEntrySchema,
+} from "../validators/user.validators.js";
+import {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+} from "../services/token.service.js";
+import { deleteAccount } from "../services/account.service.js";
+import { paginate } from "../utils/pagination.js";
+import { extensionFor } from "../utils/validation.js";
+import {
+  BadRequestError,
+  ForbiddenError,
+  NotFoundError,
+  TooManyRequestsError,
+  UnauthorizedError,
+} from "../utils/errors.js";
+import {
+  consumeToken,
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+} from "../services/verification.service.js";
+import { openableBy, LISTED_VIDEOS } from "../services/video.service.js";
+import { removeAsset } from "../services/asset.service.js";
+import {
+  loginLockedFor,
+  recordLoginFailure,
+  clearLoginFailures,
+} from "../services/lockout.service.js";
 
 const router = express.Router();
 
+const HISTORY_SORTS = {
+  recent: { field: "lastWatchedAt", type: "date" },
+};
+
+const LIBRARY_SORTS = {
+  newest: { field: "createdAt", type: "date" },
+};
+
+const SUBSCRIBER_SORTS = {
+  name: { field: "channelName", type: "string", direction: 1 },
+};
+
+const accountLocked = (retryAfter) =>
+  new TooManyRequestsError("Too many failed logins, please try again later", "ACCOUNT_LOCKED", retryAfter);
+
+const CARD_FIELDS = "title thumbnailUrl duration views createdAt user_id";
+
+// library entries keep their video only while the user may still open it
+// and it is not hidden, like playlist entries
+const videoCard = (user) => ({
+  path: "video_id",
+  select: CARD_FIELDS,
+  match: { hidden: { $ne: true }, ...openableBy(user._id) },
+  populate: { path: "user_id", select: "channelName logoUrl" },
+});
+
+// entries whose video dropped out of the populate match
+const withVideo = (entries) => entries.filter((entry) => entry.video_id);
+
 /**
  * @swagger
  * tags:
@@ -50,13 +130,118 @@ const router = express.Router();
  *           type: string
  *           example: "image/upload/v12345/logo"
  *         subscribers:
+ *           type: number
+ *           description: Number of users subscribed to this channel
+ *         subscribedChannels:
  *           type: array
  *           items:
  *             type: string
+ *     Error:
+ *       type: object
+ *       description: Envelope of every error response
+ *       properties:
+ *         error:
+ *           type: object
+ *           properties:
+ *             code:
+ *               type: string
+ *               example: "VALIDATION_FAILED"
+ *             message:
+ *               type: string
+ *               example: "Validation failed"
+ *             details:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   location:
+ *                     type: string
+ *                     example: "body"
+ *                   field:
+ *                     type: string
+ *                     example: "email"
+ *                   message:
+ *                     type: string
+ *                     example: "email must be a valid email address"
+ *     ChannelSummary:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         channelName:
+ *           type: string
+ *         logoUrl:
+ *           type: string
+ *         subscribers:
+ *           type: number
+ *     Profile:
+ *       type: object
+ *       description: The signed-in user's own account, without the password
+ *       properties:
+ *         _id:
+ *           type: string
+ *         channelName:
+ *           type: string
+ *         email:
+ *           type: string
+ *         phone:
+ *           type: string
+ *         logoUrl:
+ *           type: string
+ *         logoId:
+ *           type: string
+ *         emailVerified:
+ *           type: boolean
+ *         role:
+ *           type: string
+ *           enum: [user, moderator, admin]
+ *         historyPaused:
+ *           type: boolean
+ *         subscribers:
+ *           type: number
  *         subscribedChannels:
  *           type: array
  *           items:
  *             type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *     ChannelProfile:
+ *       type: object
+ *       description: Public view of a channel
+ *       properties:
+ *         _id:
+ *           type: string
+ *         channelName:
+ *           type: string
+ *         logoUrl:
+ *           type: string
+ *         subscribers:
+ *           type: number
+ *         videoCount:
+ *           type: number
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *     TokenPair:
+ *       type: object
+ *       properties:
+ *         token:
+ *           type: string
+ *         refreshToken:
+ *           type: string
+ *         expiresIn:
+ *           type: number
+ *     SubscriptionResult:
+ *       type: object
+ *       properties:
+ *         message:
+ *           type: string
+ *         subscribed:
+ *           type: boolean
+ *         subscribers:
+ *           type: number
+ *           description: Channel's subscriber count after the change
  *     AuthResponse:
  *       type: object
  *       properties:
@@ -74,10 +259,20 @@ const router = express.Router();
  *           type: string
  *         token:
  *           type: string
+ *           description: Short-lived access token (ACCESS_TOKEN_TTL_MINUTES)
+ *         refreshToken:
+ *           type: string
+ *           description: Single-use token for POST /user/refresh
+ *         expiresIn:
+ *           type: number
+ *           description: Access token lifetime in seconds
+ *         emailVerified:
+ *           type: boolean
+ *         role:
+ *           type: string
+ *           enum: [user, moderator, admin]
  *         subscribers:
- *           type: array
- *           items:
- *             type: string
+ *           type: number
  *         subscribedChannels:
  *           type: array
  *           items:
@@ -87,6 +282,24 @@ const router = express.Router();
  *       type: http
  *       scheme: bearer
  *       bearerFormat: JWT
+ *   responses:
+ *     TooManyRequests:
+ *       description: Rate limit used up, error code `RATE_LIMITED`
+ *       headers:
+ *         Retry-After:
+ *           schema:
+ *             type: integer
+ *           description: Seconds until the window resets
+ *         RateLimit-Limit:
+ *           schema:
+ *             type: integer
+ *         RateLimit-Remaining:
+ *           schema:
+ *             type: integer
+ *         RateLimit-Reset:
+ *           schema:
+ *             type: integer
+ *           description: Seconds until the window resets
  */
 
 /**
@@ -121,43 +334,46 @@ const router = express.Router();
  *                 format: binary
  *     responses:
  *       201:
- *         description: User created successfully
+ *         description: User created successfully, a verification email is sent
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/User'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
  *       500:
  *         description: Internal server error
  */
-router.post("/signup", async (req, res) => {
-  try {
-    const hashedPassword = await bcrypt.hash(req.body.password, 10);
-    const uploadImage = await cloudinary.uploader.upload(
-      req.files.logoUrl.tempFilePath
-    );
+router.post("/signup", rateLimit("signup"), validate(signupSchema), async (req, res) => {
+  const hashedPassword = await bcrypt.hash(req.body.password, 10);
+  const uploadImage = await storage.upload(req.files.logoUrl.tempFilePath, {
+    folder: "logos",
+    publicId: `logo_${Date.now()}`,
+    extension: extensionFor(req.files.logoUrl.mimetype),
+  });
 
 
-    const newUser = new User({
-      _id: new mongoose.Types.ObjectId(),
-      channelName: req.body.channelName,
-      email: req.body.email,
-      password: hashedPassword,
-      phone: req.body.phone,
-      logoUrl: uploadImage.secure_url,
-      logoId: uploadImage.public_id,
-    });
+  const newUser = new User({
+    _id: new mongoose.Types.ObjectId(),
+    channelName: req.body.channelName,
+    email: req.body.email,
+    password: hashedPassword,
+    phone: req.body.phone,
+    logoUrl: uploadImage.url,
+    logoId: uploadImage.id,
+  });
 
-    let user = await newUser.save();
-    res.status(201).json({
-      user,
-    });
-    console.log("user signup succesfully");
-  } catch (error) {
-    console.log(error);
-    res
-      .status(500)
-      .json({ error: "something is wrong", message: error.message });
-  }
+  let user = await newUser.save();
+
+  // a mail outage should not fail the signup, the user can ask again
+  sendVerificationEmail(user).catch((error) =>
+    console.log("verification email failed:", error.message)
+  );
+
+  res.status(201).json({
+    user,
+  });
+  console.log("user signup succesfully");
 });
 
 /**
@@ -187,58 +403,1171 @@ router.post("/signup", async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/AuthResponse'
+ *       401:
+ *         description: Invalid credentials
+ *       403:
+ *         description: Account is banned
+ *       429:
+ *         description: Too many attempts from this client (`RATE_LIMITED`), or the email is locked after repeated failed logins (`ACCOUNT_LOCKED`)
+ *         headers:
+ *           Retry-After:
+ *             schema:
+ *               type: integer
+ *             description: Seconds until logging in is allowed again
+ */
+router.post("/login", rateLimit("login"), validate(loginSchema), async (req, res) => {
+  const { email } = req.body;
+
+  // a locked email is refused even with the right password
+  const lockedFor = await loginLockedFor(email);
+  if (lockedFor) {
+    throw accountLocked(lockedFor);
+  }
+
+  const existingUser = await User.findOne({ email });
+
+  // the same answer for unknown emails and wrong passwords
+  const isValid =
+    existingUser && (await bcrypt.compare(req.body.password, existingUser.password));
+
+  if (!isValid) {
+    const lockout = await recordLoginFailure(email);
+    if (lockout) {
+      throw accountLocked(lockout);
+    }
+    throw new UnauthorizedError("Invalid credentials", "INVALID_CREDENTIALS");
+  }
+
+  if (existingUser.bannedAt) {
+    throw new ForbiddenError("This account has been banned", "ACCOUNT_BANNED");
+  }
+
+  await clearLoginFailures(email);
+
+  const { token, refreshToken, expiresIn } = await createSession(existingUser, req);
+
+  res.status(200).json({
+       _id: existingUser._id,
+      channelName: existingUser.channelName,
+      email: existingUser.email,
+      phone: existingUser.phone,
+      logoId: existingUser.logoId,
+      logoUrl:existingUser.logoUrl,
+      token:token,
+      refreshToken,
+      expiresIn,
+      subscribers:existingUser.subscribers,
+      subscribedChannels:existingUser.subscribedChannels,
+      emailVerified:existingUser.emailVerified,
+      role:existingUser.role
+  })
+  console.log("login succsfully")
+});
+
+/**
+ * @swagger
+ * /api/v1/user/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for a new token pair
+ *     description: Refresh tokens are single-use. Reusing one that was already exchanged ends its session.
+ *     tags: [Users]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New access and refresh tokens
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TokenPair'
+ *       400:
+ *         description: Refresh token is required
+ *       401:
+ *         description: Refresh token is invalid, expired or revoked
+ *       500:
+ *         description: Internal server error
+ */
+router.post("/refresh", validate(refreshSchema), async (req, res) => {
+  const { refreshToken } = req.body;
+
+  const tokens = await rotateSession(refreshToken);
+  if (!tokens) {
+    throw new UnauthorizedError("Invalid or expired refresh token", "INVALID_REFRESH_TOKEN");
+  }
+
+  res.status(200).json(tokens);
+  console.log("token refreshed");
+});
+
+/**
+ * @swagger
+ * /api/v1/user/logout:
+ *   post:
+ *     summary: End the current session
+ *     description: Revokes the refresh token and every access token of this session.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Logged out
+ *       401:
+ *         description: Not authenticated
+ *       500:
+ *         description: Internal server error
+ */
+router.post("/logout", checkAuth, async (req, res) => {
+  await revokeSession(req.user.sid);
+  res.status(200).json({ message: "Logged out successfully" });
+  console.log("logout succesfully");
+});
+
+/**
+ * @swagger
+ * /api/v1/user/logout-all:
+ *   post:
+ *     summary: End every session of the current user
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Logged out on all devices
+ *       401:
+ *         description: Not authenticated
+ *       500:
+ *         description: Internal server error
+ */
+router.post("/logout-all", checkAuth, async (req, res) => {
+  await revokeAllSessions(req.user._id);
+  res.status(200).json({ message: "Logged out of all sessions" });
+  console.log("logout from all sessions");
+});
+
+/**
+ * @swagger
+ * /api/v1/user/verify-email/request:
+ *   post:
+ *     summary: Send a new email verification link to the current user
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Verification email sent, or email already verified
  *       404:
  *         description: User not found
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
  *       500:
- *         description: Invalid credentials or server error
+ *         description: Internal server error
  */
-router.post("/login", async (req, res) => {
-  try {
-    const existingUser = await User.findOne({ email: req.body.email });
+router.post("/verify-email/request", checkAuth, rateLimit("email"), async (req, res) => {
+  const user = await User.findById(req.user._id);
+  if (!user) {
+    throw new NotFoundError("User Not Found");
+  }
 
-    if (!existingUser) {
-      return res.status(404).json({ message: "User Not Found" });
-    }
+  if (user.emailVerified) {
+    return res.status(200).json({ message: "Email is already verified" });
+  }
 
-    const isValid = await bcrypt.compare(
-      req.body.password,
-      existingUser.password
-    );
+  await sendVerificationEmail(user);
+  res.status(200).json({ message: "Verification email sent" });
+  console.log("verification email sent");
+});
 
-    if (!isValid) {
-      return res.status(500).json({ message: "Inavalid Credentials" });
-    }
+/**
+ * @swagger
+ * /api/v1/user/verify-email:
+ *   post:
+ *     summary: Verify an email address with the mailed token
+ *     tags: [Users]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Email verified
+ *       400:
+ *         description: Token is missing, invalid, expired or already used
+ *       500:
+ *         description: Internal server error
+ */
+router.post("/verify-email", validate(tokenSchema), async (req, res) => {
+  const { token } = req.body;
+
+  const userId = await consumeToken(token, "verify_email");
+  if (!userId) {
+    throw new BadRequestError("Invalid or expired token", "INVALID_TOKEN");
+  }
+
+  await User.updateOne({ _id: userId }, { emailVerified: true });
+  res.status(200).json({ message: "Email verified successfully" });
+  console.log("email verified");
+});
+
+/**
+ * @swagger
+ * /api/v1/user/password/forgot:
+ *   post:
+ *     summary: Email a password reset link
+ *     description: Always answers 200 so the response does not reveal which emails have accounts.
+ *     tags: [Users]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Reset link sent if the account exists
+ *       400:
+ *         description: Email is required
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       500:
+ *         description: Internal server error
+ */
+router.post("/password/forgot", rateLimit("email"), validate(forgotPasswordSchema), async (req, res) => {
+  const { email } = req.body;
 
-    const token = jwt.sign(
-      {
-        _id: existingUser._id,
-        channelName: existingUser.channelName,
-        email: existingUser.email,
-        phone: existingUser.phone,
-        logoId: existingUser.logoId,
-      },
-      process.env.JWT_TOKEN,
-      { expiresIn: "10d" }
+  // sent in the background, so neither timing nor a mail failure tells
+  // whether the account exists
+  const user = await User.findOne({ email });
+  if (user) {
+    sendPasswordResetEmail(user).catch((error) =>
+      console.error("Password Reset Mail Error:", error)
     );
+  }
+
+  res
+    .status(200)
+    .json({ message: "If that account exists, a reset link has been sent" });
+  console.log("password reset requested");
+});
 
-    res.status(200).json({
-         _id: existingUser._id,
-        channelName: existingUser.channelName,
-        email: existingUser.email,
-        phone: existingUser.phone,
-        logoId: existingUser.logoId,
-        logoUrl:existingUser.logoUrl,
-        token:token,
-        subscribers:existingUser.subscribers,
-        subscribedChannels:existingUser.subscribedChannels
-    })
-    console.log("login succsfully")
-  } catch (error) {
-    console.log(error);
-    res
-      .status(500)
-      .json({ error: "something is wrong", message: error.message });
+/**
+ * @swagger
+ * /api/v1/user/password/reset:
+ *   post:
+ *     summary: Set a new password with the mailed reset token
+ *     description: Every session of the user is logged out.
+ *     tags: [Users]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - newPassword
+ *             properties:
+ *               token:
+ *                 type: string
+ *               newPassword:
+ *                 type: string
+ *                 format: password
+ *                 minLength: 8
+ *     responses:
+ *       200:
+ *         description: Password reset
+ *       400:
+ *         description: Missing fields, short password, or invalid/expired/used token
+ *       500:
+ *         description: Internal server error
+ */
+router.post("/password/reset", validate(resetPasswordSchema), async (req, res) => {
+  const { token, newPassword } = req.body;
+
+  const userId = await consumeToken(token, "reset_password");
+  if (!userId) {
+    throw new BadRequestError("Invalid or expired token", "INVALID_TOKEN");
+  }
+
+  // the reset link proves control of the mailbox, so it also lifts a lockout
+  const user = await User.findByIdAndUpdate(userId, {
+    password: await bcrypt.hash(newPassword, 10),
+    emailVerified: true,
+  });
+  await revokeAllSessions(userId);
+  if (user) {
+    await clearLoginFailures(user.email);
+  }
+
+  res.status(200).json({ message: "Password reset successfully" });
+  console.log("password reset");
+});
+
+/**
+ * @swagger
+ * /api/v1/user/subscribe/{channelId}:
+ *   post:
+ *     summary: Subscribe to a channel
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: channelId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID of the channel (user) to subscribe to
+ *     responses:
+ *       200:
+ *         description: Subscribed (repeating the call is a no-op)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SubscriptionResult'
+ *       400:
+ *         description: Invalid channel ID or subscribing to yourself
+ *       404:
+ *         description: Channel not found
+ *       500:
+ *         description: Internal server error
+ */
+router.post("/subscribe/:channelId", checkAuth, validate(channelParamSchema), async (req, res) => {
+  const { channelId } = req.params;
+  const userId = req.user._id;
+
+  if (channelId === userId.toString()) {
+    throw new BadRequestError("You cannot subscribe to your own channel", "CANNOT_SUBSCRIBE_TO_SELF");
+  }
+
+  if (!(await User.exists({ _id: channelId }))) {
+    throw new NotFoundError("Channel not found");
+  }
+
+  // only bump the counter when the subscription was actually added
+  const added = await User.updateOne(
+    { _id: userId, subscribedChannels: { $ne: channelId } },
+    { $addToSet: { subscribedChannels: channelId } }
+  );
+
+  const channel =
+    added.modifiedCount === 1
+      ? await User.findByIdAndUpdate(
+          channelId,
+          { $inc: { subscribers: 1 } },
+          { new: true }
+        )
+      : await User.findById(channelId);
+
+  // the channel was deleted since the check above
+  if (!channel) {
+    await User.updateOne({ _id: userId }, { $pull: { subscribedChannels: channelId } });
+    throw new NotFoundError("Channel not found");
   }
+
+  res.status(200).json({
+    message: "Subscribed successfully",
+    subscribed: true,
+    subscribers: channel.subscribers,
+  });
+  console.log("channel subscribed");
+});
+
+/**
+ * @swagger
+ * /api/v1/user/unsubscribe/{channelId}:
+ *   post:
+ *     summary: Unsubscribe from a channel
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: channelId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID of the channel (user) to unsubscribe from
+ *     responses:
+ *       200:
+ *         description: Unsubscribed (repeating the call is a no-op)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SubscriptionResult'
+ *       400:
+ *         description: Invalid channel ID
+ *       404:
+ *         description: Channel not found
+ *       500:
+ *         description: Internal server error
+ */
+router.post("/unsubscribe/:channelId", checkAuth, validate(channelParamSchema), async (req, res) => {
+  const { channelId } = req.params;
+
+  if (!(await User.exists({ _id: channelId }))) {
+    throw new NotFoundError("Channel not found");
+  }
+
+  const removed = await User.updateOne(
+    { _id: req.user._id, subscribedChannels: channelId },
+    { $pull: { subscribedChannels: channelId } }
+  );
+
+  // the $gt guard keeps the counter from going negative
+  const channel =
+    removed.modifiedCount === 1
+      ? await User.findOneAndUpdate(
+          { _id: channelId, subscribers: { $gt: 0 } },
+          { $inc: { subscribers: -1 } },
+          { new: true }
+        )
+      : null;
+
+  // findById also covers a channel whose counter was already 0
+  const current = channel || (await User.findById(channelId));
+  if (!current) {
+    throw new NotFoundError("Channel not found");
+  }
+
+  res.status(200).json({
+    message: "Unsubscribed successfully",
+    subscribed: false,
+    subscribers: current.subscribers,
+  });
+  console.log("channel unsubscribed");
+});
+
+/**
+ * @swagger
+ * /api/v1/user/me/subscriptions:
+ *   get:
+ *     summary: List the channels the current user is subscribed to
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Subscribed channels
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 subscriptions:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ChannelSummary'
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get("/me/subscriptions", checkAuth, async (req, res) => {
+  const user = await User.findById(req.user._id).populate(
+    "subscribedChannels",
+    "channelName logoUrl subscribers"
+  );
+
+  if (!user) {
+    throw new NotFoundError("User Not Found");
+  }
+
+  res.status(200).json({ subscriptions: user.subscribedChannels });
+  console.log("get subscriptions");
+});
+
+/**
+ * @swagger
+ * /api/v1/user/{channelId}/subscribers:
+ *   get:
+ *     summary: List the subscribers of a channel by name (Public)
+ *     tags: [Users]
+ *     parameters:
+ *       - in: path
+ *         name: channelId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Channel (user) ID
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
+ *     responses:
+ *       200:
+ *         description: Page of users subscribed to the channel
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 subscribers:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ChannelSummary'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         description: Invalid channel ID, limit or cursor
+ *       500:
+ *         description: Internal server error
+ */
+router.get(
+  "/:channelId/subscribers",
+  validate(channelParamSchema),
+  pagination(SUBSCRIBER_SORTS),
+  async (req, res) => {
+    const { items, pagination } = await paginate(
+      User,
+      { subscribedChannels: req.params.channelId },
+      req.page,
+      { select: "channelName logoUrl subscribers" }
+    );
+
+    res.status(200).json({ subscribers: items, pagination });
+    console.log("get channel subscribers");
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/user/me/history:
+ *   get:
+ *     summary: Get your watch history, most recently watched first
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: inProgress
+ *         schema:
+ *           type: boolean
+ *         description: Only videos started but not finished, for "continue watching"
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
+ *     responses:
+ *       200:
+ *         description: Page of history entries with their video cards
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 history:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       video_id:
+ *                         $ref: '#/components/schemas/VideoCard'
+ *                       position:
+ *                         type: number
+ *                       completed:
+ *                         type: boolean
+ *                       lastWatchedAt:
+ *                         type: string
+ *                         format: date-time
+ *                 paused:
+ *                   type: boolean
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ */
+router.get("/me/history", checkAuth, validate(historySchema), pagination(HISTORY_SORTS), async (req, res) => {
+  const filter = { user_id: req.user._id };
+  if (req.validatedQuery.inProgress) {
+    filter.completed = false;
+    filter.position = { $gt: 0 };
+  }
+
+  const { items, pagination } = await paginate(WatchHistory, filter, req.page, {
+    select: "video_id position completed lastWatchedAt",
+    populate: [videoCard(req.user)],
+  });
+  const user = await User.findById(req.user._id).select("historyPaused");
+
+  res.status(200).json({ history: withVideo(items), paused: Boolean(user?.historyPaused), pagination });
+  console.log("get watch history");
+});
+
+/**
+ * @swagger
+ * /api/v1/user/me/history:
+ *   delete:
+ *     summary: Clear your whole watch history
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: History cleared
+ */
+router.delete("/me/history", checkAuth, async (req, res) => {
+  const { deletedCount } = await WatchHistory.deleteMany({ user_id: req.user._id });
+
+  res.status(200).json({ message: "Watch history cleared", removed: deletedCount });
+  console.log("watch history cleared");
+});
+
+/**
+ * @swagger
+ * /api/v1/user/me/history/{videoId}:
+ *   delete:
+ *     summary: Remove one video from your watch history
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: videoId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Entry removed
+ *       404:
+ *         description: Video is not in your history
+ */
+router.delete("/me/history/:videoId", checkAuth, validate(libraryEntrySchema), async (req, res) => {
+  const removed = await WatchHistory.findOneAndDelete({
+    user_id: req.user._id,
+    video_id: req.params.videoId,
+  });
+  if (!removed) {
+    throw new NotFoundError("Video is not in your watch history");
+  }
+
+  res.status(200).json({ message: "Removed from watch history" });
+  console.log("watch history entry removed");
+});
+
+// pausing keeps existing entries but stops new ones from being recorded
+const setHistoryPaused = (paused) => async (req, res) => {
+  const user = await User.findByIdAndUpdate(
+    req.user._id,
+    { historyPaused: paused },
+    { new: true }
+  ).select("historyPaused");
+  if (!user) {
+    throw new NotFoundError("User Not Found");
+  }
+
+  res.status(200).json({
+    message: paused ? "Watch history paused" : "Watch history resumed",
+    paused: user.historyPaused,
+  });
+  console.log(paused ? "watch history paused" : "watch history resumed");
+};
+
+/**
+ * @swagger
+ * /api/v1/user/me/history/pause:
+ *   post:
+ *     summary: Stop recording watch history
+ *     description: Existing entries are kept. Views still count while history is paused.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: History paused
+ */
+router.post("/me/history/pause", checkAuth, setHistoryPaused(true));
+
+/**
+ * @swagger
+ * /api/v1/user/me/history/resume:
+ *   post:
+ *     summary: Start recording watch history again
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: History resumed
+ */
+router.post("/me/history/resume", checkAuth, setHistoryPaused(false));
+
+/**
+ * @swagger
+ * /api/v1/user/me/liked:
+ *   get:
+ *     summary: Get the videos you liked, most recently liked first
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
+ *     responses:
+ *       200:
+ *         description: Page of liked videos
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 videos:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/VideoCard'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ */
+router.get("/me/liked", checkAuth, pagination(LIBRARY_SORTS), async (req, res) => {
+  const { items, pagination } = await paginate(
+    Like,
+    { user_id: req.user._id },
+    req.page,
+    { select: "video_id createdAt", populate: [videoCard(req.user)] }
+  );
+
+  res.status(200).json({ videos: withVideo(items).map((like) => like.video_id), pagination });
+  console.log("get liked videos");
+});
+
+/**
+ * @swagger
+ * /api/v1/user/me/watch-later:
+ *   get:
+ *     summary: Get your Watch Later list, most recently saved first
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
+ *     responses:
+ *       200:
+ *         description: Page of saved videos
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 videos:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       video_id:
+ *                         $ref: '#/components/schemas/VideoCard'
+ *                       createdAt:
+ *                         type: string
+ *                         format: date-time
+ *                         description: When the video was saved
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ */
+router.get("/me/watch-later", checkAuth, pagination(LIBRARY_SORTS), async (req, res) => {
+  const { items, pagination } = await paginate(
+    WatchLater,
+    { user_id: req.user._id },
+    req.page,
+    { select: "video_id createdAt", populate: [videoCard(req.user)] }
+  );
+
+  res.status(200).json({ videos: withVideo(items), pagination });
+  console.log("get watch later");
+});
+
+/**
+ * @swagger
+ * /api/v1/user/me/watch-later/{videoId}:
+ *   post:
+ *     summary: Save a video to Watch Later
+ *     description: Saving a video that is already in the list keeps its place.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: videoId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Video saved
+ *       404:
+ *         description: Video not found
+ */
+router.post("/me/watch-later/:videoId", checkAuth, validate(libraryEntrySchema), async (req, res) => {
+  const { videoId } = req.params;
+
+  if (!(await Video.exists({ _id: videoId, ...openableBy(req.user._id) }))) {
+    throw new NotFoundError("Video not found");
+  }
+
+  await WatchLater.updateOne(
+    { user_id: req.user._id, video_id: videoId },
+    { $setOnInsert: { _id: new mongoose.Types.ObjectId() } },
+    { upsert: true }
+  );
+
+  res.status(200).json({ message: "Saved to Watch Later", saved: true });
+  console.log("video saved to watch later");
+});
+
+/**
+ * @swagger
+ * /api/v1/user/me/watch-later/{videoId}:
+ *   delete:
+ *     summary: Remove a video from Watch Later
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: videoId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Video removed
+ *       404:
+ *         description: Video is not in Watch Later
+ */
+router.delete("/me/watch-later/:videoId", checkAuth, validate(libraryEntrySchema), async (req, res) => {
+  const removed = await WatchLater.findOneAndDelete({
+    user_id: req.user._id,
+    video_id: req.params.videoId,
+  });
+  if (!removed) {
+    throw new NotFoundError("Video is not in Watch Later");
+  }
+
+  res.status(200).json({ message: "Removed from Watch Later", saved: false });
+  console.log("video removed from watch later");
+});
+
+/**
+ * @swagger
+ * /api/v1/user/me:
+ *   get:
+ *     summary: Get the current user's profile
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Current user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Profile'
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get("/me", checkAuth, async (req, res) => {
+  const user = await User.findById(req.user._id).select("-password");
+
+  if (!user) {
+    throw new NotFoundError("User Not Found");
+  }
+
+  res.status(200).json(user);
+  console.log("get my profile");
+});
+
+/**
+ * @swagger
+ * /api/v1/user/me:
+ *   put:
+ *     summary: Update the current user's channel name or phone
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               channelName:
+ *                 type: string
+ *               phone:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Profile updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 user:
+ *                   $ref: '#/components/schemas/Profile'
+ *       400:
+ *         description: Nothing to update or empty value
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Internal server error
+ */
+router.put("/me", checkAuth, validate(updateProfileSchema), async (req, res) => {
+  const updates = {};
+
+  for (const field of ["channelName", "phone"]) {
+    if (req.body[field] !== undefined) updates[field] = req.body[field];
+  }
+
+  if (!Object.keys(updates).length) {
+    throw new BadRequestError("Provide channelName or phone to update", "NOTHING_TO_UPDATE");
+  }
+
+  const user = await User.findByIdAndUpdate(req.user._id, updates, {
+    new: true,
+    runValidators: true,
+  }).select("-password");
+
+  if (!user) {
+    throw new NotFoundError("User Not Found");
+  }
+
+  res.status(200).json({ message: "Profile updated successfully", user });
+  console.log("profile updated");
+});
+
+/**
+ * @swagger
+ * /api/v1/user/me/password:
+ *   put:
+ *     summary: Change the current user's password
+ *     description: Every other session of the user is logged out.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - currentPassword
+ *               - newPassword
+ *             properties:
+ *               currentPassword:
+ *                 type: string
+ *                 format: password
+ *               newPassword:
+ *                 type: string
+ *                 format: password
+ *                 minLength: 8
+ *     responses:
+ *       200:
+ *         description: Password changed
+ *       400:
+ *         description: Missing fields or new password too short
+ *       401:
+ *         description: Current password is wrong
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Internal server error
+ */
+router.put("/me/password", checkAuth, validate(changePasswordSchema), async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+
+  const user = await User.findById(req.user._id);
+  if (!user) {
+    throw new NotFoundError("User Not Found");
+  }
+
+  if (!(await bcrypt.compare(currentPassword, user.password))) {
+    throw new UnauthorizedError("Current password is incorrect", "INVALID_CREDENTIALS");
+  }
+
+  user.password = await bcrypt.hash(newPassword, 10);
+  await user.save();
+  await revokeAllSessions(user._id, { except: req.user.sid });
+
+  res.status(200).json({ message: "Password changed successfully" });
+  console.log("password changed");
+});
+
+/**
+ * @swagger
+ * /api/v1/user/me/logo:
+ *   put:
+ *     summary: Replace the current user's channel logo
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - logoUrl
+ *             properties:
+ *               logoUrl:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       200:
+ *         description: Logo replaced
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 user:
+ *                   $ref: '#/components/schemas/Profile'
+ *       400:
+ *         description: Logo file is required
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Internal server error
+ */
+router.put("/me/logo", checkAuth, validate(changeLogoSchema), async (req, res) => {
+  const user = await User.findById(req.user._id).select("-password");
+  if (!user) {
+    throw new NotFoundError("User Not Found");
+  }
+
+  const uploadImage = await storage.upload(req.files.logoUrl.tempFilePath, {
+    folder: "logos",
+    publicId: `logo_${Date.now()}`,
+    extension: extensionFor(req.files.logoUrl.mimetype),
+  });
+
+  const oldLogoId = user.logoId;
+  user.logoUrl = uploadImage.url;
+  user.logoId = uploadImage.id;
+  await user.save();
+
+  // only drop the old asset once the new one is saved on the user
+  if (oldLogoId) {
+    await removeAsset(oldLogoId);
+  }
+
+  res.status(200).json({ message: "Logo updated successfully", user });
+  console.log("logo updated");
+});
+
+/**
+ * @swagger
+ * /api/v1/user/me:
+ *   delete:
+ *     summary: Delete the current user's account
+ *     description: Removes the user's videos, comments, stored media, sessions and reactions. This cannot be undone, so the current password is required.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *                 format: password
+ *     responses:
+ *       200:
+ *         description: Account deleted
+ *       400:
+ *         description: Password is missing
+ *       401:
+ *         description: Password is incorrect
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Internal server error
+ */
+router.delete("/me", checkAuth, validate(deleteAccountSchema), async (req, res) => {
+  const user = await User.findById(req.user._id);
+  if (!user) {
+    throw new NotFoundError("User Not Found");
+  }
+
+  // a stolen token alone must not be enough to wipe the account
+  if (!(await bcrypt.compare(req.body.password, user.password))) {
+    throw new UnauthorizedError("Password is incorrect", "INVALID_CREDENTIALS");
+  }
+
+  await deleteAccount(user);
+
+  res.status(200).json({ message: "Account deleted successfully" });
+  console.log("account deleted");
+});
+
+/**
+ * @swagger
+ * /api/v1/user/{id}:
+ *   get:
+ *     summary: Get a public channel profile (Public)
+ *     tags: [Users]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Channel (user) ID
+ *     responses:
+ *       200:
+ *         description: Channel profile
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ChannelProfile'
+ *       400:
+ *         description: Invalid channel ID
+ *       404:
+ *         description: Channel not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get("/:id", validate(userParamSchema), async (req, res) => {
+  const { id } = req.params;
+
+  const channel = await User.findById(id).select(
+    "channelName logoUrl subscribers createdAt"
+  );
+  if (!channel) {
+    throw new NotFoundError("Channel not found");
+  }
+
+  const videoCount = await Video.countDocuments({ ...LISTED_VIDEOS, user_id: id });
+
+  res.status(200).json({ ...channel.toObject(), videoCount });
+  console.log("get channel profile");
 });
 
 export default router;
@@ -1,13 +1,103 @@
 import express from "express";
 import mongoose from "mongoose";
+import path from "path";
 
 import User from "../models/user.model.js";
 import Video from "../models/video.model.js";
-import cloudinary from "../config/cloudinary.js";
-import { checkAuth } from "../middleware/auth.middleware.js";
+import storage from "../config/storage.config.js";
+import {
+  checkAuth,
+  optionalAuth,
+  requireVerifiedEmail,
+} from "../middleware/auth.middleware.js";
+import { rateLimit } from "../middleware/ratelimit.middleware.js";
+import { pagination } from "../middleware/pagination.middleware.js";
+import { validate } from "../middleware/validate.middleware.js";
+import {
+  uploadVideoSchema,
+  updateVideoSchema,
+  videoParamSchema,
+  channelVideosSchema,
+  chooseThumbnailSchema,
+  categoryParamSchema,
+  tagParamSchema,
+  hlsFileSchema,
+  reactionSchema,
+  searchSchema,
+  reportVideoSchema,
+  progressSchema,
+} from "../validators/video.validators.js";
+import { paginate } from "../utils/pagination.js";
+import { extensionFor } from "../utils/validation.js";
+import {
+  AppError,
+  BadRequestError,
+  ConflictError,
+  NotFoundError,
+} from "../utils/errors.js";
+import { parseRange, buildEtag, videoMimeType } from "../utils/range.js";
+import { toggleReaction, getReaction } from "../services/reaction.service.js";
+import { recordView, viewerKeyFor } from "../services/view.service.js";
+import { searchVideos } from "../services/search.service.js";
+import {
+  createVideo,
+  deleteVideo,
+  hasCustomThumbnail,
+  canOpen,
+  isListed,
+  findOpenableVideo,
+  publicationFor,
+  LISTED_VIDEOS,
+} from "../services/video.service.js";
+import { assertOwner, assertOwnerOr } from "../services/permission.service.js";
+import { reportContent } from "../services/report.service.js";
+import { recordAudit } from "../services/audit.service.js";
+import { removeAsset } from "../services/asset.service.js";
+import { touchHistory, recordProgress } from "../services/history.service.js";
 
 const router = express.Router();
 
+// sort orders shared by every video listing; newest goes by when a video
+// went live, a scheduled one is published long after it was uploaded
+const VIDEO_SORTS = {
+  newest: { field: "publishedAt", type: "date" },
+  most_viewed: { field: "views" },
+  most_liked: { field: "likes" },
+};
+
+// the owner's own videos include drafts, which have no publishedAt
+const OWN_VIDEO_SORTS = { ...VIDEO_SORTS, newest: { field: "createdAt", type: "date" } };
+
+const SEARCH_SORTS = {
+  relevance: { field: "score" },
+  newest: VIDEO_SORTS.newest,
+};
+
+// the feed is always newest first
+const FEED_SORTS = { newest: VIDEO_SORTS.newest };
+
+// turn the validated search query into filters, aggregation does not cast
+const searchFilters = (query) => {
+  const filters = { ...LISTED_VIDEOS };
+
+  if (query.category) filters.category = query.category;
+  if (query.uploader) filters.user_id = new mongoose.Types.ObjectId(query.uploader);
+
+  if (query.from || query.to) {
+    filters.publishedAt = {};
+    if (query.from) filters.publishedAt.$gte = query.from;
+    if (query.to) filters.publishedAt.$lte = query.to;
+  }
+
+  if (query.minDuration !== undefined || query.maxDuration !== undefined) {
+    filters.duration = {};
+    if (query.minDuration !== undefined) filters.duration.$gte = query.minDuration;
+    if (query.maxDuration !== undefined) filters.duration.$lte = query.maxDuration;
+  }
+
+  return filters;
+};
+
 /**
  * @swagger
  * tags:
@@ -26,7 +116,6 @@ const router = express.Router();
  *         - description
  *         - user_id
  *         - videoUrl
- *         - thumbnailUrl
  *       properties:
  *         _id:
  *           type: string
@@ -57,6 +146,37 @@ const router = express.Router();
  *         category:
  *           type: string
  *           example: "Gaming"
+ *         duration:
+ *           type: number
+ *           example: 312.5
+ *           description: Length in seconds, read from the file after upload
+ *         media:
+ *           type: object
+ *           description: What ffprobe reports about the uploaded file
+ *           properties:
+ *             width:
+ *               type: number
+ *               example: 1920
+ *             height:
+ *               type: number
+ *               example: 1080
+ *             bitrate:
+ *               type: number
+ *               description: Bits per second
+ *             size:
+ *               type: number
+ *               description: Bytes
+ *             videoCodec:
+ *               type: string
+ *               example: "h264"
+ *             audioCodec:
+ *               type: string
+ *               example: "aac"
+ *         thumbnailCandidates:
+ *           type: array
+ *           description: Frames generated when the upload had no thumbnail
+ *           items:
+ *             $ref: '#/components/schemas/ThumbnailCandidate'
  *         tags:
  *           type: array
  *           items:
@@ -68,14 +188,47 @@ const router = express.Router();
  *         dislikes:
  *           type: number
  *           example: 5
- *         viewedBy:
+ *         views:
+ *           type: number
+ *           example: 1200
+ *           description: Deduplicated view count
+ *         processingStatus:
+ *           type: string
+ *           enum: [queued, processing, ready, failed]
+ *           description: State of the HLS transcoding for this video
+ *         renditions:
  *           type: array
  *           items:
  *             type: string
- *           description: Array of user IDs who viewed the video
+ *           example: ["240p", "480p", "720p"]
+ *         visibility:
+ *           type: string
+ *           enum: [public, unlisted, private]
+ *           description: Unlisted videos open by link but are left out of listings, private ones only open for their owner
+ *         publishStatus:
+ *           type: string
+ *           enum: [draft, scheduled, published]
+ *         publishAt:
+ *           type: string
+ *           format: date-time
+ *           description: When a scheduled video goes live
+ *         publishedAt:
+ *           type: string
+ *           format: date-time
  *         createdAt:
  *           type: string
  *           format: date-time
+ *     ThumbnailCandidate:
+ *       type: object
+ *       properties:
+ *         url:
+ *           type: string
+ *           format: uri
+ *         id:
+ *           type: string
+ *         time:
+ *           type: number
+ *           description: Seconds into the video the frame was taken at
  *     VideoUpload:
  *       type: object
  *       required:
@@ -83,7 +236,6 @@ const router = express.Router();
  *         - description
  *         - category
  *         - video
- *         - thumbnail
  *       properties:
  *         title:
  *           type: string
@@ -94,12 +246,24 @@ const router = express.Router();
  *         tags:
  *           type: string
  *           description: Comma-separated list of tags
+ *         visibility:
+ *           type: string
+ *           enum: [public, unlisted, private]
+ *           default: public
+ *         draft:
+ *           type: boolean
+ *           description: Save without publishing
+ *         publishAt:
+ *           type: string
+ *           format: date-time
+ *           description: Publish automatically at this time, a past time publishes now
  *         video:
  *           type: string
  *           format: binary
  *         thumbnail:
  *           type: string
  *           format: binary
+ *           description: Optional, candidates are generated from the video when left out
  */
 
 /**
@@ -124,56 +288,24 @@ const router = express.Router();
  *             schema:
  *               $ref: '#/components/schemas/Video'
  *       400:
- *         description: Video and thumbnail are required
+ *         description: Invalid fields or files, or a draft was given a publishAt time
+ *       403:
+ *         description: Email not verified (when REQUIRE_VERIFIED_EMAIL_FOR_UPLOAD is on)
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
  *       500:
  *         description: Internal server error
  */
-router.post("/upload", checkAuth, async (req, res) => {
-  try {
-    const { title, description, category, tags } = req.body;
-
-    if (!req.files || !req.files.video || !req.files.thumbnail) {
-      return res.status(400).json({ error: "Video and thumbnail are required" });
-    }
+router.post("/upload", checkAuth, rateLimit("upload"), requireVerifiedEmail, validate(uploadVideoSchema), async (req, res) => {
+  const { video, thumbnail } = req.files;
 
-    const videoUpload = await cloudinary.uploader.upload(
-      req.files.video.tempFilePath,
-      {
-        resource_type: "video",
-        folder: "videos",
-        public_id: `video_${Date.now()}`,
-      }
-    );
-
-    const thumbnailUpload = await cloudinary.uploader.upload(
-      req.files.thumbnail.tempFilePath,
-      {
-        folder: "thumbnails",
-        public_id: `thumbnail_${Date.now()}`,
-      }
-    );
-
-    const newVideo = new Video({
-      _id: new mongoose.Types.ObjectId(),
-      title,
-      description,
-      user_id: req.user._id,
-      videoUrl: videoUpload.secure_url,
-      videoId: videoUpload.public_id,
-      thumbnailUrl: thumbnailUpload.secure_url,
-      thumbnailId: thumbnailUpload.public_id,
-      category,
-      tags: tags ? tags.split(",") : [],
-    });
+  const newVideo = await createVideo(req.user._id, req.body, {
+    video: { filePath: video.tempFilePath, mimeType: video.mimetype },
+    thumbnail: thumbnail && { filePath: thumbnail.tempFilePath, mimeType: thumbnail.mimetype },
+  });
 
-    await newVideo.save();
-
-    res.status(200).json({ message: "Video uploaded successfully", video: newVideo });
-    console.log("Video uploaded");
-  } catch (error) {
-    console.error("Upload Error:", error);
-    res.status(500).json({ error: "Something went wrong", message: error.message });
-  }
+  res.status(200).json({ message: "Video uploaded successfully", video: newVideo });
+  console.log("Video uploaded");
 });
 
 /**
@@ -205,6 +337,16 @@ router.post("/upload", checkAuth, async (req, res) => {
  *                 type: string
  *               tags:
  *                 type: string
+ *               visibility:
+ *                 type: string
+ *                 enum: [public, unlisted, private]
+ *               draft:
+ *                 type: boolean
+ *                 description: Turn a scheduled video back into a draft, or `false` to publish a draft now
+ *               publishAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Schedule or reschedule a draft or scheduled video
  *               thumbnail:
  *                 type: string
  *                 format: binary
@@ -215,6 +357,8 @@ router.post("/upload", checkAuth, async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Video'
+ *       400:
+ *         description: Draft given a publishAt time, or the video is already published
  *       403:
  *         description: Unauthorized
  *       404:
@@ -222,50 +366,60 @@ router.post("/upload", checkAuth, async (req, res) => {
  *       500:
  *         description: Internal server error
  */
-router.put("/update/:id", checkAuth, async (req, res) => {
-  try {
-    const { title, description, category, tags } = req.body;
-    const videoId = req.params.id;
-
-    const video = await Video.findById(videoId);
-    if (!video) {
-      return res.status(404).json({ error: "Video not found" });
-    }
+router.put("/update/:id", checkAuth, validate(updateVideoSchema), async (req, res) => {
+  const { title, description, category, tags, visibility, draft, publishAt } = req.body;
+  const videoId = req.params.id;
 
-    if (video.user_id.toString() !== req.user._id.toString()) {
-      return res.status(403).json({ error: "Unauthorized" });
-    }
+  if (draft && publishAt) {
+    throw new BadRequestError("A draft cannot have a publishAt time", "DRAFT_CANNOT_BE_SCHEDULED");
+  }
 
-    if (req.files && req.files.thumbnail) {
-      if (video.thumbnailId) {
-        await cloudinary.uploader.destroy(video.thumbnailId);
-      }
+  const video = await Video.findById(videoId);
+  if (!video) {
+    throw new NotFoundError("Video not found");
+  }
 
-      const thumbnailUpload = await cloudinary.uploader.upload(
-        req.files.thumbnail.tempFilePath,
-        {
-          folder: "thumbnails",
-          public_id: `thumbnail_${Date.now()}`,
-        }
-      );
+  assertOwner(req.user, video.user_id, "Unauthorized");
 
-      video.thumbnailUrl = thumbnailUpload.secure_url;
-      video.thumbnailId = thumbnailUpload.public_id;
+  // drafts and scheduled videos can be rescheduled or published now, a
+  // published video cannot go back; empty form fields are left as they came
+  // in by validation, so only parsed values count
+  if (typeof draft === "boolean" || publishAt instanceof Date) {
+    if (video.publishStatus === "published") {
+      if (draft || publishAt) {
+        throw new BadRequestError("Video is already published", "ALREADY_PUBLISHED");
+      }
+    } else {
+      video.set(publicationFor({ draft, publishAt: publishAt || null }));
     }
+  }
 
-    video.title = title || video.title;
-    video.description = description || video.description;
-    video.category = category || video.category;
-    video.tags = tags ? tags.split(",") : video.tags;
+  if (req.files && req.files.thumbnail) {
+    // candidates stay available to switch back to
+    if (hasCustomThumbnail(video)) {
+      await removeAsset(video.thumbnailId);
+    }
 
-    await video.save();
+    const thumbnailUpload = await storage.upload(req.files.thumbnail.tempFilePath, {
+      folder: "thumbnails",
+      publicId: `thumbnail_${Date.now()}`,
+      extension: extensionFor(req.files.thumbnail.mimetype),
+    });
 
-    res.status(200).json({ message: "Video updated successfully", video });
-    console.log("Video updated");
-  } catch (error) {
-    console.error("Update Error:", error);
-    res.status(500).json({ error: "Something went wrong", message: error.message });
+    video.thumbnailUrl = thumbnailUpload.url;
+    video.thumbnailId = thumbnailUpload.id;
   }
+
+  video.title = title || video.title;
+  video.description = description || video.description;
+  video.category = category || video.category;
+  video.tags = tags || video.tags;
+  video.visibility = visibility || video.visibility;
+
+  await video.save();
+
+  res.status(200).json({ message: "Video updated successfully", video });
+  console.log("Video updated");
 });
 
 /**
@@ -273,6 +427,7 @@ router.put("/update/:id", checkAuth, async (req, res) => {
  * /api/v1/video/delete/{id}:
  *   delete:
  *     summary: Delete a video
+ *     description: Also removes the video's stored media, comments and view events. Moderators and admins may delete any video.
  *     tags: [Videos]
  *     security:
  *       - bearerAuth: []
@@ -293,67 +448,122 @@ router.put("/update/:id", checkAuth, async (req, res) => {
  *       500:
  *         description: Internal server error
  */
-router.delete("/delete/:id", checkAuth, async (req, res) => {
-  try {
-    const videoId = req.params.id;
-
-    const video = await Video.findById(videoId);
-    if (!video) {
-      return res.status(404).json({ error: "Video not found" });
-    }
-
-    if (video.user_id.toString() !== req.user._id.toString()) {
-      return res.status(403).json({ error: "Unauthorized" });
-    }
-
+router.delete("/delete/:id", checkAuth, validate(videoParamSchema), async (req, res) => {
+  const videoId = req.params.id;
 
-    if (video.videoId) {
-      await cloudinary.uploader.destroy(video.videoId, {
-        resource_type: "video",
-      });
-    }
-
-    if (video.thumbnailId) {
-      await cloudinary.uploader.destroy(video.thumbnailId);
-    }
+  const video = await Video.findById(videoId);
+  if (!video) {
+    throw new NotFoundError("Video not found");
+  }
 
-    await Video.findByIdAndDelete(videoId);
+  const isOwner = await assertOwnerOr(req.user, video.user_id, "videos:remove", "Unauthorized");
 
-    res.status(200).json({ message: "Video deleted successfully" });
-    console.log("Video deleted");
-  } catch (error) {
-    console.error("Delete Error:", error);
-    res.status(500).json({ error: "Something went wrong", message: error.message });
+  await deleteVideo(video);
+  if (!isOwner) {
+    await recordAudit({
+      actorId: req.user._id,
+      action: "video.removed",
+      targetType: "video",
+      targetId: video._id,
+      details: { title: video.title, owner_id: video.user_id },
+    });
   }
+
+  res.status(200).json({ message: "Video deleted successfully" });
+  console.log("Video deleted");
 });
 
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     Limit:
+ *       in: query
+ *       name: limit
+ *       schema:
+ *         type: integer
+ *         minimum: 1
+ *         maximum: 50
+ *         default: 20
+ *       description: Page size
+ *     Cursor:
+ *       in: query
+ *       name: cursor
+ *       schema:
+ *         type: string
+ *       description: "`nextCursor` from the previous page"
+ *     VideoSort:
+ *       in: query
+ *       name: sort
+ *       schema:
+ *         type: string
+ *         enum: [newest, most_viewed, most_liked]
+ *         default: newest
+ *   schemas:
+ *     ReportRequest:
+ *       type: object
+ *       required: [reason]
+ *       properties:
+ *         reason:
+ *           type: string
+ *           enum: [spam, harassment, hate_speech, violence, sexual_content, misinformation, copyright, other]
+ *         details:
+ *           type: string
+ *           example: "Links to a phishing site in the description"
+ *     Pagination:
+ *       type: object
+ *       properties:
+ *         limit:
+ *           type: integer
+ *         sort:
+ *           type: string
+ *         nextCursor:
+ *           type: string
+ *           nullable: true
+ *           description: Pass as `cursor` to fetch the next page, null on the last page
+ *         total:
+ *           type: integer
+ *           description: Number of matching items across all pages
+ *     VideoPage:
+ *       type: object
+ *       properties:
+ *         videos:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/Video'
+ *         pagination:
+ *           $ref: '#/components/schemas/Pagination'
+ */
+
 /**
  * @swagger
  * /api/v1/video/all:
  *   get:
  *     summary: Get all videos (Public)
  *     tags: [Videos]
+ *     parameters:
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - $ref: '#/components/parameters/VideoSort'
  *     responses:
  *       200:
- *         description: List of all videos
+ *         description: Page of videos. `pagination.total` is not computed for this listing.
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Video'
+ *               $ref: '#/components/schemas/VideoPage'
+ *       400:
+ *         description: Invalid limit, sort or cursor
  *       500:
  *         description: Internal server error
  */
-router.get("/all", async (req, res) => {
-  try {
-    const videos = await Video.find().sort({ createdAt: -1 });
-    res.status(200).json(videos);
-    console.log("(Public)Get All Videos")
-  } catch (error) {
-    console.error("All Videos Error:", error);
-    res.status(500).json({ error: "Something went wrong", message: error.message });
-  }
+router.get("/all", pagination(VIDEO_SORTS), async (req, res) => {
+  const { items, pagination } = await paginate(Video, LISTED_VIDEOS, req.page, {
+    // a count over the listing filters would scan every public video
+    countTotal: false,
+  });
+  res.status(200).json({ videos: items, pagination });
+  console.log("(Public)Get All Videos")
 });
 
 /**
@@ -364,36 +574,210 @@ router.get("/all", async (req, res) => {
  *     tags: [Videos]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - $ref: '#/components/parameters/VideoSort'
  *     responses:
  *       200:
- *         description: List of user's videos
+ *         description: Page of the user's videos
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Video'
+ *               $ref: '#/components/schemas/VideoPage'
+ *       400:
+ *         description: Invalid limit, sort or cursor
  *       500:
  *         description: Internal server error
  */
-router.get("/my-videos", checkAuth, async (req, res) => {
-  try {
-    const videos = await Video.find({ user_id: req.user._id }).sort({ createdAt: -1 });
-    res.status(200).json(videos);
-    console.log("Get My(User) Videos")
-  } catch (error) {
-    console.error("My Videos Error:", error);
-    res.status(500).json({ error: "Something went wrong", message: error.message });
+router.get("/my-videos", checkAuth, pagination(OWN_VIDEO_SORTS), async (req, res) => {
+  const { items, pagination } = await paginate(
+    Video,
+    { user_id: req.user._id },
+    req.page
+  );
+  res.status(200).json({ videos: items, pagination });
+  console.log("Get My(User) Videos")
+});
+
+/**
+ * @swagger
+ * /api/v1/video/channel/{channelId}:
+ *   get:
+ *     summary: Get a channel's public videos (Public)
+ *     description: Unlisted, private, draft, scheduled and hidden videos are left out. Owners see all of their videos with /my-videos.
+ *     tags: [Videos]
+ *     parameters:
+ *       - in: path
+ *         name: channelId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Channel (user) ID
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - $ref: '#/components/parameters/VideoSort'
+ *     responses:
+ *       200:
+ *         description: Page of the channel's videos
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/VideoPage'
+ *       400:
+ *         description: Invalid channel ID, limit, sort or cursor
+ *       500:
+ *         description: Internal server error
+ */
+router.get("/channel/:channelId", validate(channelVideosSchema), pagination(VIDEO_SORTS), async (req, res) => {
+  const { items, pagination } = await paginate(
+    Video,
+    { ...LISTED_VIDEOS, user_id: req.params.channelId },
+    req.page
+  );
+  res.status(200).json({ videos: items, pagination });
+  console.log("Get channel videos");
+});
+
+/**
+ * @swagger
+ * /api/v1/video/feed/subscriptions:
+ *   get:
+ *     summary: Newest videos from the channels you subscribe to
+ *     tags: [Videos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
+ *     responses:
+ *       200:
+ *         description: Page of videos, newest first. `pagination.total` is not computed for the feed.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/VideoPage'
+ *       400:
+ *         description: Invalid limit or cursor
+ *       404:
+ *         description: User not found
+ */
+router.get("/feed/subscriptions", checkAuth, pagination(FEED_SORTS), async (req, res) => {
+  const user = await User.findById(req.user._id).select("subscribedChannels");
+  if (!user) {
+    throw new NotFoundError("User Not Found");
   }
+
+  const { items, pagination } = await paginate(
+    Video,
+    { ...LISTED_VIDEOS, user_id: { $in: user.subscribedChannels } },
+    req.page,
+    {
+      select: "-likedBy -disLikedBy -viewedBy",
+      populate: ["user_id", "channelName logoUrl"],
+      // counting across every followed channel would cost as much as the page
+      countTotal: false,
+    }
+  );
+
+  res.status(200).json({ videos: items, pagination });
+  console.log("Get subscription feed");
+});
+
+/**
+ * @swagger
+ * /api/v1/video/search:
+ *   get:
+ *     summary: Full-text search across title, description and tags (Public)
+ *     tags: [Videos]
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Search terms, "quoted phrases" and -excluded words are supported
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: uploader
+ *         schema:
+ *           type: string
+ *         description: Only videos uploaded by this user ID
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Published on or after this date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Published on or before this date
+ *       - in: query
+ *         name: minDuration
+ *         schema:
+ *           type: number
+ *         description: Minimum duration in seconds
+ *       - in: query
+ *         name: maxDuration
+ *         schema:
+ *           type: number
+ *         description: Maximum duration in seconds
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [relevance, newest]
+ *           default: relevance
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
+ *     responses:
+ *       200:
+ *         description: Page of matching videos, each with its relevance `score`
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/VideoPage'
+ *       400:
+ *         description: Missing query or invalid filter, limit, sort or cursor
+ *       500:
+ *         description: Internal server error
+ */
+router.get("/search", validate(searchSchema), pagination(SEARCH_SORTS), async (req, res) => {
+  const query = req.validatedQuery;
+  const { items, pagination } = await searchVideos(
+    query.q,
+    searchFilters(query),
+    req.page
+  );
+  res.status(200).json({ videos: items, pagination });
+  console.log("(Public) Search Videos");
 });
 
 /**
  * @swagger
  * /api/v1/video/{id}:
  *   get:
- *     summary: Get video by ID and track view (Private)
+ *     summary: Get video by ID and record a view (Public)
+ *     description: >
+ *       The `views` counter only goes up once per viewer per
+ *       `VIEW_WINDOW_MINUTES`, and each counted view is stored as a view event.
+ *       Signed-in viewers are identified by their token, anonymous viewers by
+ *       their IP with the `X-Viewer-Id` header or, when it is missing, their
+ *       user agent. At most `ANON_VIEWS_PER_IP` anonymous views count per IP,
+ *       video and window. For signed-in viewers the
+ *       video also moves to the top of their watch history, and
+ *       `watchProgress` carries the saved position to resume from. Private,
+ *       draft and scheduled videos are reported as not found to everyone but
+ *       their owner.
  *     tags: [Videos]
  *     security:
+ *       - {}
  *       - bearerAuth: []
  *     parameters:
  *       - in: path
@@ -402,6 +786,12 @@ router.get("/my-videos", checkAuth, async (req, res) => {
  *           type: string
  *         required: true
  *         description: Video ID
+ *       - in: header
+ *         name: X-Viewer-Id
+ *         schema:
+ *           type: string
+ *         required: false
+ *         description: Session or device key that tells apart anonymous viewers sharing an IP
  *     responses:
  *       200:
  *         description: Video details
@@ -409,32 +799,273 @@ router.get("/my-videos", checkAuth, async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Video'
+ *       400:
+ *         description: Invalid video ID
  *       404:
  *         description: Video not found
  *       500:
  *         description: Internal server error
  */
-router.get("/:id", checkAuth, async (req, res) => {
-  try {
-    const videoId = req.params.id;
-    const userId = req.user._id;
-
-    const video = await Video.findByIdAndUpdate(
-      videoId,
-      { $addToSet: { viewedBy: userId } },
-      { new: true }
-    );
-
-    if (!video) {
-      return res.status(404).json({ error: "Video not found" });
-    }
+router.get("/:id", validate(videoParamSchema), optionalAuth, async (req, res) => {
+  const videoId = req.params.id;
 
-    res.status(200).json(video);
-    console.log("Get videos by _id");
-  } catch (error) {
-    console.error("Get Video By ID Error:", error);
-    res.status(500).json({ error: "Something went wrong", message: error.message });
+  // private, draft and scheduled videos look missing to everyone but the
+  // owner, and hidden ones to everyone but the owner and moderators
+  const video = await Video.findById(videoId);
+  if (!video || !(await canOpen(video, req.user))) {
+    throw new NotFoundError("Video not found");
   }
+
+  const counted = await recordView({
+    videoId: video._id,
+    viewerKey: viewerKeyFor(req),
+    userId: req.user?._id,
+    ip: req.user ? undefined : req.ip,
+  });
+  if (counted) video.views += 1;
+
+  // null for anonymous viewers and while history is paused
+  const entry = req.user ? await touchHistory(req.user._id, video._id) : null;
+  const watchProgress = entry
+    ? { position: entry.position, completed: entry.completed }
+    : null;
+
+  res.status(200).json({ ...video.toObject(), watchProgress });
+  console.log("Get videos by _id");
+});
+
+/**
+ * @swagger
+ * /api/v1/video/{id}/stream:
+ *   get:
+ *     summary: Stream video bytes with HTTP Range support (Public)
+ *     description: Private, draft and scheduled videos only play for their owner, who sends a bearer token.
+ *     tags: [Videos]
+ *     security:
+ *       - {}
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Video ID
+ *       - in: header
+ *         name: Range
+ *         schema:
+ *           type: string
+ *           example: "bytes=0-1048575"
+ *         required: false
+ *         description: Byte range to fetch, used by players to seek
+ *     responses:
+ *       200:
+ *         description: Full video content
+ *         content:
+ *           video/*:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       206:
+ *         description: Requested byte range of the video
+ *       304:
+ *         description: Not modified (ETag matched If-None-Match)
+ *       404:
+ *         description: Video not found
+ *       416:
+ *         description: Requested range not satisfiable
+ *       500:
+ *         description: Internal server error
+ */
+router.get("/:id/stream", validate(videoParamSchema), optionalAuth, async (req, res) => {
+  const video = await Video.findById(req.params.id);
+  if (!video || !video.videoId || !(await canOpen(video, req.user))) {
+    throw new NotFoundError("Video not found");
+  }
+
+  const stats = await storage.stat(video.videoId, { resourceType: "video" });
+  const etag = buildEtag(video.videoId, stats);
+
+  const headers = {
+    "Accept-Ranges": "bytes",
+    "Content-Type": stats.contentType || videoMimeType(video.videoId),
+    "Last-Modified": stats.lastModified.toUTCString(),
+    ETag: etag,
+  };
+
+  if (req.headers["if-none-match"] === etag) {
+    return res.status(304).set(headers).end();
+  }
+
+  // If-Range only honours the Range header while the file is unchanged
+  const ifRange = req.headers["if-range"];
+  const range =
+    ifRange && ifRange !== etag ? null : parseRange(req.headers.range, stats.size);
+
+  // before the video headers are set, so the JSON error is not labelled as video
+  if (range === false) {
+    res.set("Content-Range", `bytes */${stats.size}`);
+    throw new AppError("Requested range not satisfiable", {
+      status: 416,
+      code: "RANGE_NOT_SATISFIABLE",
+    });
+  }
+
+  res.set(headers);
+
+  const start = range ? range.start : 0;
+  const end = range ? range.end : stats.size - 1;
+
+  res.status(range ? 206 : 200).set("Content-Length", String(end - start + 1));
+  if (range) {
+    res.set("Content-Range", `bytes ${start}-${end}/${stats.size}`);
+  }
+
+  if (req.method === "HEAD" || stats.size === 0) {
+    return res.end();
+  }
+
+  const stream = await storage.stream(video.videoId, {
+    resourceType: "video",
+    start,
+    end,
+  });
+
+  // stop reading from storage when the player seeks away or disconnects
+  res.on("close", () => stream.destroy());
+  stream.on("error", (error) => {
+    console.error("Stream Error:", error);
+    res.destroy(error);
+  });
+  stream.pipe(res);
+});
+
+const HLS_CONTENT_TYPES = {
+  ".m3u8": "application/vnd.apple.mpegurl",
+  ".ts": "video/mp2t",
+};
+
+const sendHlsAsset = async (req, res, relativePath) => {
+  const video = await Video.findById(req.params.id);
+  if (!video || !(await canOpen(video, req.user))) {
+    throw new NotFoundError("Video not found");
+  }
+
+  if (video.processingStatus !== "ready" || !video.hlsPath) {
+    throw new AppError("Video is not ready for adaptive streaming", {
+      status: 409,
+      code: "VIDEO_NOT_READY",
+      details: { processingStatus: video.processingStatus },
+    });
+  }
+
+  const extension = path.extname(relativePath);
+  const stream = await storage
+    .stream(`${video.hlsPath}/${relativePath}`, { resourceType: "raw" })
+    .catch((error) => {
+      throw error.code === "ENOENT" ? new NotFoundError("File not found") : error;
+    });
+
+  // segments never change once written, playlists may be regenerated; media
+  // of videos not everyone may see stays out of shared caches, which would
+  // keep serving it after the video turns private or hidden
+  let cacheControl = "private, no-store";
+  if (isListed(video)) {
+    cacheControl = extension === ".ts" ? "public, max-age=31536000, immutable" : "public, max-age=60";
+  }
+
+  res.status(200).set({
+    "Content-Type": HLS_CONTENT_TYPES[extension],
+    "Cache-Control": cacheControl,
+  });
+  res.on("close", () => stream.destroy());
+  stream.on("error", (error) => {
+    console.error("HLS Stream Error:", error);
+    res.destroy(error);
+  });
+  stream.pipe(res);
+};
+
+/**
+ * @swagger
+ * /api/v1/video/{id}/hls/master.m3u8:
+ *   get:
+ *     summary: Get the HLS master playlist of a video (Public)
+ *     description: Private, draft and scheduled videos only play for their owner, who sends a bearer token.
+ *     tags: [Videos]
+ *     security:
+ *       - {}
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Video ID
+ *     responses:
+ *       200:
+ *         description: Master playlist listing every rendition
+ *         content:
+ *           application/vnd.apple.mpegurl:
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: Video not found
+ *       409:
+ *         description: Video is still processing or transcoding failed
+ *       500:
+ *         description: Internal server error
+ */
+router.get("/:id/hls/master.m3u8", validate(videoParamSchema), optionalAuth, async (req, res) => {
+  await sendHlsAsset(req, res, "master.m3u8");
+});
+
+/**
+ * @swagger
+ * /api/v1/video/{id}/hls/{rendition}/{file}:
+ *   get:
+ *     summary: Get a rendition playlist or media segment (Public)
+ *     description: Private, draft and scheduled videos only play for their owner, who sends a bearer token.
+ *     tags: [Videos]
+ *     security:
+ *       - {}
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Video ID
+ *       - in: path
+ *         name: rendition
+ *         schema:
+ *           type: string
+ *           example: "480p"
+ *         required: true
+ *         description: Rendition name from the master playlist
+ *       - in: path
+ *         name: file
+ *         schema:
+ *           type: string
+ *           example: "seg_000.ts"
+ *         required: true
+ *         description: "`index.m3u8` or a segment file name"
+ *     responses:
+ *       200:
+ *         description: Playlist or MPEG-TS segment
+ *       404:
+ *         description: Video, rendition or file not found
+ *       409:
+ *         description: Video is still processing or transcoding failed
+ *       500:
+ *         description: Internal server error
+ */
+router.get("/:id/hls/:rendition/:file", validate(hlsFileSchema), optionalAuth, async (req, res) => {
+  const { rendition, file } = req.params;
+
+  await sendHlsAsset(req, res, `${rendition}/${file}`);
 });
 
 /**
@@ -450,28 +1081,28 @@ router.get("/:id", checkAuth, async (req, res) => {
  *           type: string
  *         required: true
  *         description: Video category
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - $ref: '#/components/parameters/VideoSort'
  *     responses:
  *       200:
- *         description: List of videos in category
+ *         description: Page of videos in category. `pagination.total` is not computed for this listing.
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Video'
+ *               $ref: '#/components/schemas/VideoPage'
+ *       400:
+ *         description: Invalid limit, sort or cursor
  *       500:
  *         description: Internal server error
  */
-router.get("/category/:category", async (req, res) => {
-  try {
-    const category = req.params.category;
-    const videos = await Video.find({ category }).sort({ createdAt: -1 });
-    res.status(200).json(videos);
-    console.log("(Public)Get Video By Category");
-  } catch (error) {
-    console.error("Category Videos Error:", error);
-    res.status(500).json({ error: "Something went wrong", message: error.message });
-  }
+router.get("/category/:category", validate(categoryParamSchema), pagination(VIDEO_SORTS), async (req, res) => {
+  const category = req.params.category;
+  const { items, pagination } = await paginate(Video, { ...LISTED_VIDEOS, category }, req.page, {
+    countTotal: false,
+  });
+  res.status(200).json({ videos: items, pagination });
+  console.log("(Public)Get Video By Category");
 });
 
 /**
@@ -487,36 +1118,73 @@ router.get("/category/:category", async (req, res) => {
  *           type: string
  *         required: true
  *         description: Video tag
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - $ref: '#/components/parameters/VideoSort'
  *     responses:
  *       200:
- *         description: List of videos with tag
+ *         description: Page of videos with tag. `pagination.total` is not computed for this listing.
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Video'
+ *               $ref: '#/components/schemas/VideoPage'
+ *       400:
+ *         description: Invalid limit, sort or cursor
  *       500:
  *         description: Internal server error
  */
-router.get("/tags/:tag", async (req, res) => {
-  try {
-    const tag = req.params.tag;
-    const videos = await Video.find({ tags: tag }).sort({ createdAt: -1 });
-
-    res.status(200).json(videos);
-    console.log("(Public) Get Videos By Tag")
-  } catch (error) {
-    console.error("Tag Fetch Error:", error);
-    res.status(500).json({ error: "Something went wrong", message: error.message });
-  }
+router.get("/tags/:tag", validate(tagParamSchema), pagination(VIDEO_SORTS), async (req, res) => {
+  const tag = req.params.tag;
+  const { items, pagination } = await paginate(Video, { ...LISTED_VIDEOS, tags: tag }, req.page, {
+    countTotal: false,
+  });
+
+  res.status(200).json({ videos: items, pagination });
+  console.log("(Public) Get Videos By Tag")
 });
 
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ReactionResult:
+ *       type: object
+ *       properties:
+ *         message:
+ *           type: string
+ *         reaction:
+ *           type: string
+ *           enum: [like, dislike, none]
+ *           description: The caller's reaction after the request
+ *         likes:
+ *           type: number
+ *         dislikes:
+ *           type: number
+ */
+
+const reactionHandler = (reaction) => async (req, res) => {
+  const { videoId } = req.body;
+
+  await findOpenableVideo(videoId, req.user);
+  const result = await toggleReaction(videoId, req.user._id, reaction);
+  if (!result) throw new NotFoundError("Video not found");
+
+  const messages = {
+    like: "Video liked",
+    dislike: "Video disliked",
+    none: "Reaction removed",
+  };
+
+  res.status(200).json({ message: messages[result.reaction], ...result });
+  console.log(`Video ${reaction} toggled`);
+};
+
 /**
  * @swagger
  * /api/v1/video/like:
  *   post:
- *     summary: Like a video (number based)
+ *     summary: Toggle a like on a video
+ *     description: Likes the video, removes an existing like, or switches an existing dislike to a like. Each user holds at most one reaction per video.
  *     tags: [Videos]
  *     security:
  *       - bearerAuth: []
@@ -533,50 +1201,28 @@ router.get("/tags/:tag", async (req, res) => {
  *                 type: string
  *     responses:
  *       200:
- *         description: Video liked
+ *         description: Reaction updated
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 message:
- *                   type: string
- *                 likes:
- *                   type: number
- *                 dislikes:
- *                   type: number
+ *               $ref: '#/components/schemas/ReactionResult'
+ *       400:
+ *         description: Invalid video ID
  *       404:
  *         description: Video not found
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
  *       500:
  *         description: Internal server error
  */
-router.post("/like", checkAuth, async (req, res) => {
-  try {
-    const { videoId } = req.body;
-
-    const video = await Video.findById(videoId);
-    if (!video) return res.status(404).json({ error: "Video not found" });
-
-    video.likes += 1;
-    if (video.dislikes > 0) {
-      video.dislikes -= 1;
-    }
-
-    await video.save();
-
-    res.status(200).json({ message: "Video liked", likes: video.likes, dislikes: video.dislikes });
-    console.log("video Like")
-  } catch (error) {
-    console.error("Like Error:", error);
-    res.status(500).json({ error: "Something went wrong", message: error.message });
-  }
-});
+router.post("/like", checkAuth, rateLimit("reaction"), validate(reactionSchema), reactionHandler("like"));
 
 /**
  * @swagger
  * /api/v1/video/dislike:
  *   post:
- *     summary: Dislike a video (number based)
+ *     summary: Toggle a dislike on a video
+ *     description: Dislikes the video, removes an existing dislike, or switches an existing like to a dislike. Each user holds at most one reaction per video.
  *     tags: [Videos]
  *     security:
  *       - bearerAuth: []
@@ -593,47 +1239,305 @@ router.post("/like", checkAuth, async (req, res) => {
  *                 type: string
  *     responses:
  *       200:
- *         description: Video disliked
+ *         description: Reaction updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ReactionResult'
+ *       400:
+ *         description: Invalid video ID
+ *       404:
+ *         description: Video not found
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       500:
+ *         description: Internal server error
+ */
+router.post("/dislike", checkAuth, rateLimit("reaction"), validate(reactionSchema), reactionHandler("dislike"));
+
+/**
+ * @swagger
+ * /api/v1/video/{id}/reaction:
+ *   get:
+ *     summary: Get the current user's reaction to a video
+ *     tags: [Videos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Video ID
+ *     responses:
+ *       200:
+ *         description: Caller's reaction and the current counts
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
- *                 message:
+ *                 reaction:
  *                   type: string
+ *                   enum: [like, dislike, none]
  *                 likes:
  *                   type: number
  *                 dislikes:
  *                   type: number
+ *       400:
+ *         description: Invalid video ID
  *       404:
  *         description: Video not found
  *       500:
  *         description: Internal server error
  */
-router.post("/dislike", checkAuth, async (req, res) => {
-  try {
-    const { videoId } = req.body;
+router.get("/:id/reaction", checkAuth, validate(videoParamSchema), async (req, res) => {
+  await findOpenableVideo(req.params.id, req.user);
 
-    const video = await Video.findById(videoId);
-    if (!video) return res.status(404).json({ error: "Video not found" });
+  const result = await getReaction(req.params.id, req.user._id);
+  if (!result) throw new NotFoundError("Video not found");
 
-    video.dislikes += 1;
-    if (video.likes > 0) {
-      video.likes -= 1;
-    }
+  res.status(200).json(result);
+  console.log("Get video reaction");
+});
 
-    await video.save();
+/**
+ * @swagger
+ * /api/v1/video/{id}/thumbnails:
+ *   get:
+ *     summary: Get the generated thumbnail candidates of your video
+ *     description: Candidates are generated after upload when no thumbnail was given, and stay empty until the video has been processed.
+ *     tags: [Videos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Video ID
+ *     responses:
+ *       200:
+ *         description: Current thumbnail and candidates
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 thumbnailUrl:
+ *                   type: string
+ *                 selected:
+ *                   type: integer
+ *                   nullable: true
+ *                   description: Index of the candidate in use, null for an uploaded thumbnail
+ *                 candidates:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ThumbnailCandidate'
+ *       403:
+ *         description: Not the owner of the video
+ *       404:
+ *         description: Video not found
+ */
+router.get("/:id/thumbnails", checkAuth, validate(videoParamSchema), async (req, res) => {
+  const video = await Video.findById(req.params.id).select(
+    "user_id thumbnailUrl thumbnailId thumbnailCandidates"
+  );
+  if (!video) {
+    throw new NotFoundError("Video not found");
+  }
+
+  assertOwner(req.user, video.user_id, "Only the owner can see thumbnail candidates");
+
+  const selected = video.thumbnailCandidates.findIndex(
+    (candidate) => candidate.id === video.thumbnailId
+  );
+
+  res.status(200).json({
+    thumbnailUrl: video.thumbnailUrl,
+    selected: selected === -1 ? null : selected,
+    candidates: video.thumbnailCandidates,
+  });
+  console.log("get thumbnail candidates");
+});
+
+/**
+ * @swagger
+ * /api/v1/video/{id}/thumbnail:
+ *   put:
+ *     summary: Use one of the generated candidates as the thumbnail
+ *     description: An uploaded thumbnail it replaces is deleted.
+ *     tags: [Videos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Video ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - candidate
+ *             properties:
+ *               candidate:
+ *                 type: integer
+ *                 description: Index into thumbnailCandidates
+ *     responses:
+ *       200:
+ *         description: Thumbnail updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Video'
+ *       400:
+ *         description: No candidate with that index
+ *       403:
+ *         description: Not the owner of the video
+ *       404:
+ *         description: Video not found
+ */
+router.put("/:id/thumbnail", checkAuth, validate(chooseThumbnailSchema), async (req, res) => {
+  const video = await Video.findById(req.params.id);
+  if (!video) {
+    throw new NotFoundError("Video not found");
+  }
+
+  assertOwner(req.user, video.user_id, "Only the owner can change the thumbnail");
+
+  const candidate = video.thumbnailCandidates[req.body.candidate];
+  if (!candidate) {
+    throw new BadRequestError("No thumbnail candidate with that index", "UNKNOWN_THUMBNAIL_CANDIDATE");
+  }
+
+  if (hasCustomThumbnail(video)) {
+    await removeAsset(video.thumbnailId);
+  }
+
+  video.thumbnailUrl = candidate.url;
+  video.thumbnailId = candidate.id;
+  await video.save();
 
-    res.status(200).json({ message: "Video disliked", likes: video.likes, dislikes: video.dislikes });
-    console.log("Video Dislike")
-  } catch (error) {
-    console.error("Dislike Error:", error);
-    res.status(500).json({ error: "Something went wrong", message: error.message });
+  res.status(200).json({ message: "Thumbnail updated", video });
+  console.log("Thumbnail chosen");
+});
+
+/**
+ * @swagger
+ * /api/v1/video/{id}/report:
+ *   post:
+ *     summary: Report a video
+ *     description: Each user can report a video once while its report is open. Videos reported by enough distinct users are hidden from listings until a moderator reviews them.
+ *     tags: [Videos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ReportRequest'
+ *     responses:
+ *       201:
+ *         description: Report submitted
+ *       400:
+ *         description: Invalid reason, or reporting your own video
+ *       404:
+ *         description: Video not found
+ *       409:
+ *         description: You already reported this video
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ */
+router.post("/:id/report", checkAuth, rateLimit("report"), validate(reportVideoSchema), async (req, res) => {
+  const video = await findOpenableVideo(req.params.id, req.user);
+  if (video.user_id.toString() === req.user._id.toString()) {
+    throw new BadRequestError("You cannot report your own video", "CANNOT_REPORT_OWN_CONTENT");
+  }
+
+  const report = await reportContent("video", video._id, req.user._id, req.body);
+  if (!report) {
+    throw new ConflictError("You have already reported this video", "ALREADY_REPORTED");
   }
+
+  res.status(201).json({ message: "Report submitted", reportId: report._id });
+  console.log("Video reported");
 });
 
+/**
+ * @swagger
+ * /api/v1/video/{id}/progress:
+ *   post:
+ *     summary: Save the playback position of a video
+ *     description: The player calls this periodically. A video counts as watched once the position reaches 95% of its duration. Nothing is stored while the user's history is paused.
+ *     tags: [Videos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [position]
+ *             properties:
+ *               position:
+ *                 type: number
+ *                 description: Seconds from the start
+ *                 example: 312.5
+ *               duration:
+ *                 type: number
+ *                 description: Length reported by the player, used when the video has none stored
+ *     responses:
+ *       200:
+ *         description: Progress saved, or skipped when `recorded` is false
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 recorded:
+ *                   type: boolean
+ *                 position:
+ *                   type: number
+ *                 completed:
+ *                   type: boolean
+ *       404:
+ *         description: Video not found
+ */
+router.post("/:id/progress", checkAuth, validate(progressSchema), async (req, res) => {
+  const video = await findOpenableVideo(req.params.id, req.user, "duration");
 
+  const duration = video.duration || req.body.duration;
+  const position = duration ? Math.min(req.body.position, duration) : req.body.position;
 
+  const entry = await recordProgress(req.user._id, video._id, position, duration);
+  if (!entry) {
+    return res.status(200).json({ recorded: false });
+  }
 
+  res.status(200).json({ recorded: true, position: entry.position, completed: entry.completed });
+  console.log("Video progress saved");
+});
 
 export default router;
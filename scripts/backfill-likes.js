@@ -0,0 +1,14 @@
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+
+import { ConnectDB } from "../config/db.config.js";
+import { backfillLikes } from "../services/reaction.service.js";
+
+dotenv.config();
+
+// one-time migration for databases from before likes kept their time; run it
+// once after deploying, running it again only skips the likes already copied
+await ConnectDB();
+await backfillLikes();
+console.log("Likes backfilled");
+await mongoose.disconnect();
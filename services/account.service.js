@@ -0,0 +1,118 @@
+import User from "../models/user.model.js";
+import Video from "../models/video.model.js";
+import Comment from "../models/comment.model.js";
+import View from "../models/view.model.js";
+import Session from "../models/session.model.js";
+import Playlist from "../models/playlist.model.js";
+import WatchHistory from "../models/history.model.js";
+import WatchLater from "../models/watchlater.model.js";
+import Like from "../models/like.model.js";
+import { deleteVideo } from "./video.service.js";
+import { removeAsset } from "./asset.service.js";
+import { revokeAllSessions } from "./token.service.js";
+import { closeReportsFor } from "./report.service.js";
+
+// remove a user's comments while keeping reply counts on other threads right,
+// and close open reports on every comment that goes
+const deleteComments = async (userId) => {
+  const replies = await Comment.find({ user_id: userId, parent_id: { $ne: null } }).select(
+    "parent_id"
+  );
+  const perParent = new Map();
+  for (const reply of replies) {
+    const key = reply.parent_id.toString();
+    perParent.set(key, (perParent.get(key) || 0) + 1);
+  }
+  if (perParent.size) {
+    await Comment.bulkWrite(
+      [...perParent].map(([parentId, count]) => ({
+        updateOne: { filter: { _id: parentId }, update: { $inc: { replyCount: -count } } },
+      }))
+    );
+  }
+
+  const threads = await Comment.find({ user_id: userId, parent_id: null }).select("_id");
+  const threadIds = threads.map((thread) => thread._id);
+  const deleted = await Comment.find({
+    $or: [{ user_id: userId }, { parent_id: { $in: threadIds } }],
+  }).select("_id");
+  await closeReportsFor(deleted.map((comment) => comment._id));
+
+  await Comment.deleteMany({ parent_id: { $in: threadIds } });
+  await Comment.deleteMany({ user_id: userId });
+
+  await Comment.updateMany(
+    { likedBy: userId },
+    { $pull: { likedBy: userId }, $inc: { likes: -1 } }
+  );
+};
+
+// take back the user's reactions and subscriptions so counters stay honest
+const withdrawEngagement = async (user) => {
+  await Video.updateMany(
+    { likedBy: user._id },
+    { $pull: { likedBy: user._id }, $inc: { likes: -1 } }
+  );
+  await Video.updateMany(
+    { disLikedBy: user._id },
+    { $pull: { disLikedBy: user._id }, $inc: { dislikes: -1 } }
+  );
+
+  if (user.subscribedChannels.length) {
+    await User.updateMany(
+      { _id: { $in: user.subscribedChannels }, subscribers: { $gt: 0 } },
+      { $inc: { subscribers: -1 } }
+    );
+  }
+  await User.updateMany(
+    { subscribedChannels: user._id },
+    { $pull: { subscribedChannels: user._id } }
+  );
+};
+
+/**
+ * Permanently delete a user with their videos, comments, playlists, stored
+ * media, sessions, view events, likes, watch history and watch later list.
+ */
+export const deleteAccount = async (user) => {
+  await revokeAllSessions(user._id);
+
+  for (const video of await Video.find({ user_id: user._id })) {
+    await deleteVideo(video);
+  }
+
+  await deleteComments(user._id);
+  await withdrawEngagement(user);
+  await View.deleteMany({ user_id: user._id });
+  await Playlist.deleteMany({ user_id: user._id });
+  await WatchHistory.deleteMany({ user_id: user._id });
+  await WatchLater.deleteMany({ user_id: user._id });
+  await Like.deleteMany({ user_id: user._id });
+
+  if (user.logoId) {
+    await removeAsset(user.logoId);
+  }
+
+  await Session.deleteMany({ user_id: user._id });
+  await User.findByIdAndDelete(user._id);
+};
+
+/**
+ * Ban a user: they are logged out everywhere and cannot log in again until
+ * unbanned. Their content stays up; moderators remove it separately.
+ */
+export const banUser = async (user, { reason, bannedBy }) => {
+  user.bannedAt = new Date();
+  user.banReason = reason;
+  user.bannedBy = bannedBy;
+  await user.save();
+
+  await revokeAllSessions(user._id);
+};
+
+export const unbanUser = async (user) => {
+  user.bannedAt = null;
+  user.banReason = undefined;
+  user.bannedBy = undefined;
+  await user.save();
+};
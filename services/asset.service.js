@@ -0,0 +1,8 @@
+import { enqueueJob } from "./queue.service.js";
+
+// stored media is deleted by the job worker, which retries when storage fails
+export const removeAsset = (id, { resourceType } = {}) =>
+  enqueueJob("storage.remove", { id, resourceType });
+
+export const removeAssetFolder = (prefix, { resourceType } = {}) =>
+  enqueueJob("storage.removeFolder", { prefix, resourceType });
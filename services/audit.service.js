@@ -0,0 +1,17 @@
+import mongoose from "mongoose";
+
+import AuditLog from "../models/audit.model.js";
+
+/**
+ * Append a moderation decision to the audit trail. `actorId` is null for
+ * decisions the system takes on its own, such as auto-hiding reported content.
+ */
+export const recordAudit = ({ actorId = null, action, targetType, targetId, details }) =>
+  AuditLog.create({
+    _id: new mongoose.Types.ObjectId(),
+    actor_id: actorId,
+    action,
+    targetType,
+    target_id: targetId,
+    details,
+  });
@@ -0,0 +1,23 @@
+import Comment from "../models/comment.model.js";
+import { closeReportsFor } from "./report.service.js";
+
+/**
+ * Delete a comment. Deleting a top-level comment removes its whole thread,
+ * deleting a reply keeps the parent's reply count right. Open reports on
+ * anything deleted are closed.
+ */
+export const deleteComment = async (comment) => {
+  await Comment.findByIdAndDelete(comment._id);
+
+  if (comment.parent_id) {
+    await Comment.updateOne(
+      { _id: comment.parent_id, replyCount: { $gt: 0 } },
+      { $inc: { replyCount: -1 } }
+    );
+    await closeReportsFor([comment._id]);
+  } else {
+    const replies = await Comment.find({ parent_id: comment._id }).select("_id");
+    await closeReportsFor([comment._id, ...replies.map((reply) => reply._id)]);
+    await Comment.deleteMany({ parent_id: comment._id });
+  }
+};
@@ -0,0 +1,47 @@
+import mongoose from "mongoose";
+
+import User from "../models/user.model.js";
+import WatchHistory from "../models/history.model.js";
+
+// the last few seconds are usually credits, so close enough counts as watched
+const COMPLETED_RATIO = 0.95;
+
+export const isHistoryPaused = async (userId) =>
+  Boolean(await User.exists({ _id: userId, historyPaused: true }));
+
+const upsertEntry = (userId, videoId, update) =>
+  WatchHistory.findOneAndUpdate(
+    { user_id: userId, video_id: videoId },
+    {
+      ...update,
+      $set: { ...update.$set, lastWatchedAt: new Date() },
+      $setOnInsert: { _id: new mongoose.Types.ObjectId() },
+    },
+    { upsert: true, new: true }
+  );
+
+/**
+ * Note that a user opened a video, keeping any saved position. Resolves to
+ * the history entry, or `null` while the user has paused their history.
+ */
+export const touchHistory = async (userId, videoId) => {
+  if (await isHistoryPaused(userId)) return null;
+  return upsertEntry(userId, videoId, {});
+};
+
+/**
+ * Save how far a user got in a video. `duration` (seconds) decides whether
+ * the video counts as watched to the end. Resolves to the history entry, or
+ * `null` while the user has paused their history.
+ */
+export const recordProgress = async (userId, videoId, position, duration) => {
+  if (await isHistoryPaused(userId)) return null;
+
+  const completed = Boolean(duration) && position >= duration * COMPLETED_RATIO;
+  return upsertEntry(userId, videoId, { $set: { position, completed } });
+};
+
+export const getProgress = (userId, videoId) =>
+  WatchHistory.findOne({ user_id: userId, video_id: videoId }).select(
+    "position completed lastWatchedAt"
+  );
@@ -0,0 +1,27 @@
+import Video from "../models/video.model.js";
+import storage from "../config/storage.config.js";
+import { storeVideoFiles } from "./video.service.js";
+import { transcodeVideo, generateVideoThumbnails } from "./transcoder.service.js";
+
+// a video whose processing gave up shows up in the admin failed queue
+const markVideoFailed = ({ videoId }, error) =>
+  Video.findByIdAndUpdate(videoId, {
+    processingStatus: "failed",
+    processingError: error.message,
+  });
+
+/**
+ * What the job worker does for each job type, see startWorker in
+ * queue.service.js.
+ */
+export const JOB_HANDLERS = {
+  "video.store": { run: storeVideoFiles, onDead: markVideoFailed },
+  "video.transcode": { run: ({ videoId }) => transcodeVideo(videoId), onDead: markVideoFailed },
+  "video.thumbnails": { run: ({ videoId }) => generateVideoThumbnails(videoId) },
+  "storage.remove": {
+    run: ({ id, resourceType }) => storage.remove(id, { resourceType }),
+  },
+  "storage.removeFolder": {
+    run: ({ prefix, resourceType }) => storage.removeFolder(prefix, { resourceType }),
+  },
+};
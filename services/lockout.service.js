@@ -0,0 +1,37 @@
+import rateLimitStore, {
+  LOGIN_MAX_FAILURES,
+  LOGIN_FAILURE_WINDOW_MINUTES,
+  LOGIN_LOCKOUT_MINUTES,
+} from "../config/ratelimit.config.js";
+
+const secondsUntil = (date) => Math.max(1, Math.ceil((date.getTime() - Date.now()) / 1000));
+
+// keyed by email rather than user, so unknown addresses lock the same way
+const failuresKey = (email) => `login-failures:${email.trim().toLowerCase()}`;
+const lockKey = (email) => `login-lock:${email.trim().toLowerCase()}`;
+
+// seconds until a locked email may log in again, 0 when it is not locked
+export const loginLockedFor = async (email) => {
+  const lock = await rateLimitStore.get(lockKey(email));
+  return lock ? secondsUntil(lock.resetAt) : 0;
+};
+
+/**
+ * Count a failed login. LOGIN_MAX_FAILURES within LOGIN_FAILURE_WINDOW_MINUTES
+ * lock the email for LOGIN_LOCKOUT_MINUTES; resolves to the lock's length in
+ * seconds then, otherwise to 0.
+ */
+export const recordLoginFailure = async (email) => {
+  const { count } = await rateLimitStore.hit(failuresKey(email), LOGIN_FAILURE_WINDOW_MINUTES * 60);
+  if (count < LOGIN_MAX_FAILURES) return 0;
+
+  const lock = await rateLimitStore.hit(lockKey(email), LOGIN_LOCKOUT_MINUTES * 60);
+  await rateLimitStore.reset(failuresKey(email));
+  return secondsUntil(lock.resetAt);
+};
+
+// after a successful login or a password reset
+export const clearLoginFailures = async (email) => {
+  await rateLimitStore.reset(failuresKey(email));
+  await rateLimitStore.reset(lockKey(email));
+};
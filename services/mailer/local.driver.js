@@ -0,0 +1,20 @@
+import fs from "fs";
+import path from "path";
+
+// prints every message and, when an outbox is configured, keeps a JSON copy
+export const createLocalDriver = ({ outboxDir, from }) => ({
+  name: "local",
+
+  async send({ to, subject, text, html }) {
+    console.log(`[mail] to=${to} subject="${subject}"\n${text}`);
+
+    if (!outboxDir) return;
+
+    await fs.promises.mkdir(outboxDir, { recursive: true });
+    const fileName = `${Date.now()}-${to.replace(/[^\w.@-]/g, "_")}.json`;
+    await fs.promises.writeFile(
+      path.join(outboxDir, fileName),
+      JSON.stringify({ from, to, subject, text, html, sentAt: new Date() }, null, 2)
+    );
+  },
+});
@@ -0,0 +1,18 @@
+import nodemailer from "nodemailer";
+
+export const createSmtpDriver = ({ host, port, secure, user, pass, from }) => {
+  const transport = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined,
+  });
+
+  return {
+    name: "smtp",
+
+    async send({ to, subject, text, html }) {
+      await transport.sendMail({ from, to, subject, text, html });
+    },
+  };
+};
@@ -0,0 +1,104 @@
+import path from "path";
+import { spawn } from "child_process";
+
+import storage from "../config/storage.config.js";
+import {
+  FFMPEG_PATH,
+  FFPROBE_PATH,
+  THUMBNAIL_POSITIONS,
+  THUMBNAIL_HEIGHT,
+} from "../config/transcode.config.js";
+
+// run ffmpeg or ffprobe, resolving to stdout when `capture` is set
+const runTool = (binary, args, { capture = false } = {}) =>
+  new Promise((resolve, reject) => {
+    const child = spawn(binary, args, { stdio: ["ignore", capture ? "pipe" : "ignore", "pipe"] });
+    let stdout = "";
+    let stderr = "";
+
+    if (capture) child.stdout.on("data", (chunk) => (stdout += chunk));
+    child.stderr.on("data", (chunk) => {
+      // only the tail is useful when reporting a failure
+      stderr = (stderr + chunk).slice(-2000);
+    });
+    child.on("error", reject);
+    child.on("close", (code) => {
+      if (code === 0) return resolve(stdout);
+      reject(new Error(`${path.basename(binary)} exited with code ${code}: ${stderr.trim()}`));
+    });
+  });
+
+export const runFfmpeg = (args) => runTool(FFMPEG_PATH, args);
+
+// ffprobe reports numbers as strings and leaves out what it cannot tell
+const toNumber = (value) => {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : undefined;
+};
+
+/**
+ * Read duration (seconds), dimensions, bitrate (bits/s), size (bytes) and
+ * codecs of a local media file. Rejects when the file has no video stream.
+ */
+export const probeMedia = async (filePath) => {
+  const output = await runTool(
+    FFPROBE_PATH,
+    ["-v", "error", "-print_format", "json", "-show_format", "-show_streams", filePath],
+    { capture: true }
+  );
+  const { format = {}, streams = [] } = JSON.parse(output);
+
+  const videoStream = streams.find((stream) => stream.codec_type === "video");
+  const audioStream = streams.find((stream) => stream.codec_type === "audio");
+  if (!videoStream) {
+    throw new Error("No video stream found");
+  }
+
+  return {
+    duration: toNumber(format.duration) ?? toNumber(videoStream.duration),
+    media: {
+      width: toNumber(videoStream.width),
+      height: toNumber(videoStream.height),
+      bitrate: toNumber(format.bit_rate),
+      size: toNumber(format.size),
+      videoCodec: videoStream.codec_name,
+      audioCodec: audioStream?.codec_name,
+    },
+  };
+};
+
+export const thumbnailFolder = (videoId) => `thumbnails/candidates/${videoId}`;
+
+/**
+ * Grab a frame at each of THUMBNAIL_POSITIONS of the video, store them and
+ * resolve to the candidates as `{ url, id, time }`.
+ */
+export const generateThumbnails = async (videoId, sourcePath, duration, workDir) => {
+  const folder = thumbnailFolder(videoId);
+  await storage.removeFolder(folder);
+
+  const candidates = [];
+  for (const [index, position] of THUMBNAIL_POSITIONS.entries()) {
+    const time = Math.round((duration || 0) * position * 100) / 100;
+    const outputPath = path.join(workDir, `thumbnail_${index}.jpg`);
+
+    await runFfmpeg([
+      "-y",
+      "-ss", String(time),
+      "-i", sourcePath,
+      "-frames:v", "1",
+      "-vf", `scale=-2:${THUMBNAIL_HEIGHT}`,
+      "-q:v", "3",
+      outputPath,
+    ]);
+
+    const upload = await storage.upload(outputPath, {
+      folder,
+      publicId: `candidate_${index}`,
+      extension: ".jpg",
+    });
+    candidates.push({ url: upload.url, id: upload.id, time });
+  }
+
+  return candidates;
+};
@@ -0,0 +1,32 @@
+import User from "../models/user.model.js";
+import { can } from "../config/roles.config.js";
+import { ForbiddenError } from "../utils/errors.js";
+
+/**
+ * Role of an authenticated user. Roles are not part of the access token, so
+ * promotions and demotions apply on the next request; the role is cached on
+ * `req.user` for the rest of the request.
+ */
+export const roleOf = async (user) => {
+  if (!user.role) {
+    const found = await User.findById(user._id).select("role");
+    user.role = found ? found.role : "user";
+  }
+  return user.role;
+};
+
+export const hasPermission = async (user, permission) => can(await roleOf(user), permission);
+
+const owns = (user, ownerId) => ownerId.toString() === user._id.toString();
+
+export const assertOwner = (user, ownerId, message) => {
+  if (!owns(user, ownerId)) throw new ForbiddenError(message);
+};
+
+// owners always pass; anyone else needs `permission`. Resolves to whether the
+// user acted as the owner, so moderator actions can be audited
+export const assertOwnerOr = async (user, ownerId, permission, message) => {
+  if (owns(user, ownerId)) return true;
+  if (await hasPermission(user, permission)) return false;
+  throw new ForbiddenError(message);
+};
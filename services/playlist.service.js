@@ -0,0 +1,53 @@
+import Playlist, { MAX_PLAYLIST_VIDEOS } from "../models/playlist.model.js";
+
+/**
+ * Insert a video at `position` (appending when omitted). A single
+ * conditional update, so a video is never added twice and a playlist never
+ * grows past MAX_PLAYLIST_VIDEOS. Resolves to `null` when either would happen.
+ */
+export const addToPlaylist = (playlistId, videoId, position) => {
+  const push = { $each: [videoId] };
+  if (position !== undefined) push.$position = position;
+
+  return Playlist.findOneAndUpdate(
+    {
+      _id: playlistId,
+      videos: { $ne: videoId },
+      [`videos.${MAX_PLAYLIST_VIDEOS - 1}`]: { $exists: false },
+    },
+    { $push: { videos: push }, $inc: { videoCount: 1 } },
+    { new: true }
+  );
+};
+
+// resolves to `null` when the video is not in the playlist
+export const removeFromPlaylist = (playlistId, videoId) =>
+  Playlist.findOneAndUpdate(
+    { _id: playlistId, videos: videoId },
+    { $pull: { videos: videoId }, $inc: { videoCount: -1 } },
+    { new: true }
+  );
+
+/**
+ * Replace the order of a playlist. `order` must hold exactly the playlist's
+ * current videos; the update only applies while they are unchanged, so it
+ * resolves to `null` when another request added or removed one meanwhile.
+ */
+export const reorderPlaylist = (playlist, order) =>
+  Playlist.findOneAndUpdate(
+    { _id: playlist._id, videos: playlist.videos },
+    { videos: order },
+    { new: true }
+  );
+
+export const isSameVideos = (playlist, order) => {
+  const current = new Set(playlist.videos.map((id) => id.toString()));
+  return order.length === current.size && order.every((id) => current.has(id));
+};
+
+// a deleted video leaves every playlist it was in
+export const removeVideoFromPlaylists = (videoId) =>
+  Playlist.updateMany(
+    { videos: videoId },
+    { $pull: { videos: videoId }, $inc: { videoCount: -1 } }
+  );
@@ -0,0 +1,187 @@
+import os from "os";
+import mongoose from "mongoose";
+
+import Job from "../models/job.model.js";
+import {
+  JOB_CONCURRENCY,
+  JOB_MAX_ATTEMPTS,
+  JOB_BACKOFF_SECONDS,
+  JOB_POLL_SECONDS,
+} from "../config/queue.config.js";
+
+const HEARTBEAT_SECONDS = 30;
+// a running job whose worker missed this many heartbeats is taken over
+const STALE_HEARTBEATS = 4;
+const MAX_BACKOFF_SECONDS = 60 * 60;
+
+const workerId = `${os.hostname()}:${process.pid}`;
+
+let handlers = null;
+let stopping = false;
+let loops = [];
+// resolvers of idle workers, so a new job in this process starts right away
+let sleepers = [];
+
+const wake = () => sleepers.splice(0).forEach((resolve) => resolve());
+
+const sleep = (ms) =>
+  new Promise((resolve) => {
+    const done = () => {
+      clearTimeout(timer);
+      sleepers = sleepers.filter((sleeper) => sleeper !== done);
+      resolve();
+    };
+    const timer = setTimeout(done, ms);
+    sleepers.push(done);
+  });
+
+export const backoffSeconds = (attempts) =>
+  Math.min(JOB_BACKOFF_SECONDS * 2 ** (attempts - 1), MAX_BACKOFF_SECONDS);
+
+/**
+ * Queue a job of `type` for the worker. `payload` is handed to the job's
+ * handler and must be plain JSON.
+ */
+export const enqueueJob = async (
+  type,
+  payload = {},
+  { delaySeconds = 0, maxAttempts = JOB_MAX_ATTEMPTS } = {}
+) => {
+  const job = await Job.create({
+    _id: new mongoose.Types.ObjectId(),
+    type,
+    payload,
+    maxAttempts,
+    runAt: new Date(Date.now() + delaySeconds * 1000),
+  });
+
+  wake();
+  return job;
+};
+
+// put a dead job back in the queue with a fresh set of attempts
+export const retryJob = async (jobId) => {
+  const job = await Job.findOneAndUpdate(
+    { _id: jobId, status: "dead" },
+    { status: "queued", attempts: 0, runAt: new Date(), $unset: { diedAt: 1 } },
+    { new: true }
+  );
+
+  if (job) wake();
+  return job;
+};
+
+// the oldest due job, or one whose worker stopped sending heartbeats
+const claimJob = () => {
+  const now = new Date();
+  const staleBefore = new Date(now.getTime() - HEARTBEAT_SECONDS * STALE_HEARTBEATS * 1000);
+
+  return Job.findOneAndUpdate(
+    {
+      $or: [
+        { status: "queued", runAt: { $lte: now } },
+        { status: "running", lockedAt: { $lt: staleBefore } },
+      ],
+    },
+    { status: "running", lockedAt: now, lockedBy: workerId, $inc: { attempts: 1 } },
+    { sort: { runAt: 1 }, new: true }
+  );
+};
+
+// updates only apply while this worker still holds the job
+const settle = (job, update) =>
+  Job.updateOne({ _id: job._id, lockedBy: workerId }, { ...update, lockedAt: null, lockedBy: null });
+
+const failJob = async (job, handler, error) => {
+  console.error(`Job Error (${job.type} ${job._id}, attempt ${job.attempts}):`, error.message);
+
+  if (handler && job.attempts < job.maxAttempts) {
+    await settle(job, {
+      status: "queued",
+      runAt: new Date(Date.now() + backoffSeconds(job.attempts) * 1000),
+      lastError: error.message,
+    });
+    return;
+  }
+
+  await settle(job, { status: "dead", diedAt: new Date(), lastError: error.message });
+  if (handler?.onDead) {
+    await handler.onDead(job.payload, error).catch((hookError) =>
+      console.error(`Job Error (${job.type} ${job._id}, onDead):`, hookError.message)
+    );
+  }
+};
+
+const runJob = async (job) => {
+  const handler = handlers[job.type];
+  const heartbeat = setInterval(() => {
+    Job.updateOne({ _id: job._id, lockedBy: workerId }, { lockedAt: new Date() }).catch(() => {});
+  }, HEARTBEAT_SECONDS * 1000);
+
+  try {
+    if (!handler) {
+      throw new Error(`No handler for job type "${job.type}"`);
+    }
+    // taken over from a worker that died on every attempt
+    if (job.attempts > job.maxAttempts) {
+      throw new Error("Worker stopped while running the job");
+    }
+
+    await handler.run(job.payload, job);
+    await settle(job, { status: "completed", completedAt: new Date(), $unset: { lastError: 1 } });
+    console.log(`job ${job.type} ${job._id} completed`);
+  } catch (error) {
+    await failJob(job, handler, error);
+  } finally {
+    clearInterval(heartbeat);
+  }
+};
+
+const workLoop = async () => {
+  while (!stopping) {
+    const job = await claimJob().catch((error) => {
+      console.error("Job Queue Error:", error.message);
+      return null;
+    });
+
+    if (!job) {
+      await sleep(JOB_POLL_SECONDS * 1000);
+      continue;
+    }
+
+    try {
+      await runJob(job);
+    } catch (error) {
+      // settling the job failed, a stale lock hands it to a worker later
+      console.error(`Job Queue Error (${job.type} ${job._id}):`, error.message);
+      await sleep(JOB_POLL_SECONDS * 1000);
+    }
+  }
+};
+
+/**
+ * Start JOB_CONCURRENCY loops that run due jobs with `jobHandlers`, a map of
+ * job type to `{ run(payload, job), onDead?(payload, error) }`. `run` throws
+ * to have the job retried with exponential backoff; once `maxAttempts` are
+ * used up the job is left as dead and `onDead` is called.
+ */
+export const startWorker = (jobHandlers) => {
+  if (handlers) return;
+
+  handlers = jobHandlers;
+  stopping = false;
+  // a loop that still fails must not take the API process down with it
+  loops = Array.from({ length: JOB_CONCURRENCY }, () =>
+    workLoop().catch((error) => console.error("Job Worker Error:", error))
+  );
+};
+
+// let running jobs finish, then stop picking up new ones
+export const stopWorker = async () => {
+  stopping = true;
+  wake();
+  await Promise.all(loops);
+
+  handlers = null;
+  loops = [];
+};
@@ -0,0 +1,42 @@
+const SWEEP_INTERVAL_SECONDS = 60;
+
+// counters live in this process only, fine for a single server and for tests
+export const createMemoryStore = () => {
+  const entries = new Map();
+
+  const live = (key, now = Date.now()) => {
+    const entry = entries.get(key);
+    return entry && entry.resetAt.getTime() > now ? entry : null;
+  };
+
+  // drop finished windows so the map does not grow with every client seen
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const key of entries.keys()) {
+      if (!live(key, now)) entries.delete(key);
+    }
+  }, SWEEP_INTERVAL_SECONDS * 1000);
+  sweep.unref();
+
+  return {
+    name: "memory",
+
+    async hit(key, windowSeconds) {
+      const now = Date.now();
+      const entry = live(key, now) || { count: 0, resetAt: new Date(now + windowSeconds * 1000) };
+
+      entry.count += 1;
+      entries.set(key, entry);
+      return { count: entry.count, resetAt: entry.resetAt };
+    },
+
+    async get(key) {
+      const entry = live(key);
+      return entry && { count: entry.count, resetAt: entry.resetAt };
+    },
+
+    async reset(key) {
+      entries.delete(key);
+    },
+  };
+};
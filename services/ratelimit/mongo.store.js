@@ -0,0 +1,49 @@
+import RateLimit from "../../models/ratelimit.model.js";
+
+// counters shared by every server instance through MongoDB
+export const createMongoStore = () => {
+  // start a new window when the old one is over, otherwise count the hit in it
+  const increment = (key, windowSeconds) => {
+    const now = new Date();
+    const open = { $gt: ["$resetAt", now] };
+
+    return RateLimit.findOneAndUpdate(
+      { _id: key },
+      [
+        {
+          $set: {
+            count: { $cond: [open, { $add: ["$count", 1] }, 1] },
+            resetAt: { $cond: [open, "$resetAt", new Date(now.getTime() + windowSeconds * 1000)] },
+          },
+        },
+      ],
+      { upsert: true, new: true }
+    );
+  };
+
+  return {
+    name: "mongo",
+
+    async hit(key, windowSeconds) {
+      let entry;
+      try {
+        entry = await increment(key, windowSeconds);
+      } catch (error) {
+        // two first hits raced to insert the key, the loser counts in the new window
+        if (error.code !== 11000) throw error;
+        entry = await increment(key, windowSeconds);
+      }
+
+      return { count: entry.count, resetAt: entry.resetAt };
+    },
+
+    async get(key) {
+      const entry = await RateLimit.findOne({ _id: key, resetAt: { $gt: new Date() } });
+      return entry && { count: entry.count, resetAt: entry.resetAt };
+    },
+
+    async reset(key) {
+      await RateLimit.deleteOne({ _id: key });
+    },
+  };
+};
@@ -0,0 +1,151 @@
+import mongoose from "mongoose";
+import Video from "../models/video.model.js";
+import Comment from "../models/comment.model.js";
+import Like from "../models/like.model.js";
+
+const REACTIONS = {
+  like: { list: "likedBy", counter: "likes" },
+  dislike: { list: "disLikedBy", counter: "dislikes" },
+};
+
+// a racing request can move the user between lists while we look; retrying
+// settles on whichever state we find next
+const MAX_ATTEMPTS = 3;
+
+const counts = (video) => ({ likes: video.likes, dislikes: video.dislikes });
+
+// keep the library's record of when the user liked the video in step
+const recordLike = (videoId, userId, liked) =>
+  liked
+    ? Like.updateOne(
+        { user_id: userId, video_id: videoId },
+        { $setOnInsert: { _id: new mongoose.Types.ObjectId() } },
+        { upsert: true }
+      )
+    : Like.deleteOne({ user_id: userId, video_id: videoId });
+
+/**
+ * Toggle a user's like or dislike on a video. Reacting the same way twice
+ * removes the reaction and reacting the other way switches it. Each step is
+ * a single conditional update, so the counters always match the user lists.
+ *
+ * Resolves to `null` when the video does not exist.
+ */
+export const toggleReaction = async (videoId, userId, reaction) => {
+  const current = REACTIONS[reaction];
+  const opposite = REACTIONS[reaction === "like" ? "dislike" : "like"];
+  const options = { new: true, projection: { likes: 1, dislikes: 1 } };
+
+  for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+    const removed = await Video.findOneAndUpdate(
+      { _id: videoId, [current.list]: userId },
+      { $pull: { [current.list]: userId }, $inc: { [current.counter]: -1 } },
+      options
+    );
+    if (removed) {
+      if (reaction === "like") await recordLike(videoId, userId, false);
+      return { reaction: "none", ...counts(removed) };
+    }
+
+    const switched = await Video.findOneAndUpdate(
+      { _id: videoId, [opposite.list]: userId },
+      {
+        $pull: { [opposite.list]: userId },
+        $addToSet: { [current.list]: userId },
+        $inc: { [current.counter]: 1, [opposite.counter]: -1 },
+      },
+      options
+    );
+    if (switched) {
+      await recordLike(videoId, userId, reaction === "like");
+      return { reaction, ...counts(switched) };
+    }
+
+    const added = await Video.findOneAndUpdate(
+      { _id: videoId, [current.list]: { $ne: userId }, [opposite.list]: { $ne: userId } },
+      { $addToSet: { [current.list]: userId }, $inc: { [current.counter]: 1 } },
+      options
+    );
+    if (added) {
+      if (reaction === "like") await recordLike(videoId, userId, true);
+      return { reaction, ...counts(added) };
+    }
+
+    if (!(await Video.exists({ _id: videoId }))) return null;
+  }
+
+  throw new Error("Could not apply reaction, please retry");
+};
+
+/**
+ * Give likes from before the library kept like times a record, dated to the
+ * video's upload. Existing records are left alone, so running it again is
+ * harmless.
+ */
+export const backfillLikes = async () => {
+  // $merge needs the unique (user_id, video_id) index to exist
+  await Like.init();
+
+  await Video.aggregate([
+    { $match: { "likedBy.0": { $exists: true } } },
+    { $unwind: "$likedBy" },
+    { $project: { _id: 0, user_id: "$likedBy", video_id: "$_id", createdAt: "$createdAt" } },
+    {
+      $merge: {
+        into: Like.collection.name,
+        on: ["user_id", "video_id"],
+        whenMatched: "keepExisting",
+        whenNotMatched: "insert",
+      },
+    },
+  ]);
+};
+
+/**
+ * Current reaction of a user on a video, or `null` when the video does not exist.
+ */
+export const getReaction = async (videoId, userId) => {
+  // projections are not cast by mongoose, so the id has to be an ObjectId here
+  const viewer = new mongoose.Types.ObjectId(userId);
+  const video = await Video.findById(videoId, {
+    likes: 1,
+    dislikes: 1,
+    likedBy: { $elemMatch: { $eq: viewer } },
+    disLikedBy: { $elemMatch: { $eq: viewer } },
+  });
+  if (!video) return null;
+
+  let reaction = "none";
+  if (video.likedBy?.length) reaction = "like";
+  else if (video.disLikedBy?.length) reaction = "dislike";
+
+  return { reaction, ...counts(video) };
+};
+
+/**
+ * Toggle a user's like on a comment. Resolves to `null` when the comment
+ * does not exist.
+ */
+export const toggleCommentLike = async (commentId, userId) => {
+  const options = { new: true, projection: { likes: 1 } };
+
+  for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+    const unliked = await Comment.findOneAndUpdate(
+      { _id: commentId, likedBy: userId },
+      { $pull: { likedBy: userId }, $inc: { likes: -1 } },
+      options
+    );
+    if (unliked) return { liked: false, likes: unliked.likes };
+
+    const liked = await Comment.findOneAndUpdate(
+      { _id: commentId, likedBy: { $ne: userId } },
+      { $addToSet: { likedBy: userId }, $inc: { likes: 1 } },
+      options
+    );
+    if (liked) return { liked: true, likes: liked.likes };
+
+    if (!(await Comment.exists({ _id: commentId }))) return null;
+  }
+
+  throw new Error("Could not apply like, please retry");
+};
@@ -0,0 +1,104 @@
+import mongoose from "mongoose";
+
+import Report from "../models/report.model.js";
+import Video from "../models/video.model.js";
+import Comment from "../models/comment.model.js";
+import { REPORT_HIDE_THRESHOLD } from "../config/report.config.js";
+import { recordAudit } from "./audit.service.js";
+
+const TARGETS = { video: Video, comment: Comment };
+
+// a racing report can open the case while we look; retrying joins it
+const MAX_ATTEMPTS = 3;
+
+export const setHidden = (targetType, targetId, hidden) =>
+  TARGETS[targetType].findOneAndUpdate(
+    { _id: targetId, hidden: hidden ? { $ne: true } : true },
+    hidden ? { hidden: true, hiddenAt: new Date() } : { hidden: false, $unset: { hiddenAt: 1 } }
+  );
+
+// hide the content once enough distinct users reported it
+const hideIfOverThreshold = async (report) => {
+  if (report.reporterCount < REPORT_HIDE_THRESHOLD) return;
+
+  const hidden = await setHidden(report.targetType, report.target_id, true);
+  if (hidden) {
+    await recordAudit({
+      action: "content.auto_hidden",
+      targetType: report.targetType,
+      targetId: report.target_id,
+      details: { report_id: report._id, reporterCount: report.reporterCount },
+    });
+  }
+};
+
+/**
+ * Add a user's report to the open case for a video or comment, opening one
+ * if needed. Each user counts once per case. Resolves to the case, or to
+ * `null` when the user already reported this content.
+ */
+export const reportContent = async (targetType, targetId, userId, { reason, details }) => {
+  const entry = { user_id: userId, reason, details, createdAt: new Date() };
+
+  for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+    const joined = await Report.findOneAndUpdate(
+      { targetType, target_id: targetId, status: "open", "reporters.user_id": { $ne: userId } },
+      {
+        $push: { reporters: entry },
+        $addToSet: { reasons: reason },
+        $inc: { reporterCount: 1 },
+        $set: { lastReportedAt: entry.createdAt },
+      },
+      { new: true }
+    );
+    if (joined) {
+      await hideIfOverThreshold(joined);
+      return joined;
+    }
+
+    const alreadyReported = await Report.exists({
+      targetType,
+      target_id: targetId,
+      status: "open",
+      "reporters.user_id": userId,
+    });
+    if (alreadyReported) return null;
+
+    try {
+      const opened = await Report.create({
+        _id: new mongoose.Types.ObjectId(),
+        targetType,
+        target_id: targetId,
+        reporters: [entry],
+        reporterCount: 1,
+        reasons: [reason],
+        lastReportedAt: entry.createdAt,
+      });
+      await hideIfOverThreshold(opened);
+      return opened;
+    } catch (error) {
+      // another report opened the case first, join it on the next attempt
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  throw new Error("Could not file report, please retry");
+};
+
+/**
+ * Close the open case of a report as `status`, atomically so two moderators
+ * cannot both act on it. Resolves to `null` when it is no longer open.
+ */
+export const closeReport = (reportId, status, { action, note, moderatorId }) =>
+  Report.findOneAndUpdate(
+    { _id: reportId, status: "open" },
+    { status, action, note, resolvedBy: moderatorId, resolvedAt: new Date() },
+    { new: true }
+  );
+
+// content deleted by its owner or a moderator leaves nothing to review
+export const closeReportsFor = (targetIds) =>
+  Report.updateMany(
+    { target_id: { $in: targetIds }, status: "open" },
+    { status: "resolved", action: "remove", note: "Content deleted", resolvedAt: new Date() }
+  );
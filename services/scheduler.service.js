@@ -0,0 +1,46 @@
+import Video from "../models/video.model.js";
+import { PUBLISH_CHECK_SECONDS } from "../config/publish.config.js";
+
+let timer = null;
+
+/**
+ * Publish every scheduled video whose `publishAt` has passed. The video goes
+ * live as of its scheduled time even when the check runs a little later.
+ * Resolves to the number of videos published.
+ */
+export const publishDueVideos = async (now = new Date()) => {
+  const { modifiedCount } = await Video.updateMany(
+    { publishStatus: "scheduled", publishAt: { $lte: now } },
+    [{ $set: { publishStatus: "published", publishedAt: "$publishAt" } }]
+  );
+
+  if (modifiedCount) console.log(`published ${modifiedCount} scheduled video(s)`);
+  return modifiedCount;
+};
+
+/**
+ * Give published videos from before scheduling their upload time as
+ * `publishedAt`, which listings sort by. Resolves to the number updated.
+ */
+export const backfillPublishedAt = async () => {
+  const { modifiedCount } = await Video.updateMany(
+    { publishStatus: { $in: ["published", null] }, publishedAt: null },
+    [{ $set: { publishedAt: "$createdAt" } }]
+  );
+
+  if (modifiedCount) console.log(`set publishedAt on ${modifiedCount} older video(s)`);
+  return modifiedCount;
+};
+
+// the first check also catches premieres missed while the server was down
+export const startPublishScheduler = () => {
+  if (timer) return;
+
+  const check = () =>
+    publishDueVideos().catch((error) => console.error("Publish Scheduler Error:", error));
+
+  backfillPublishedAt().catch((error) => console.error("Publish Scheduler Error:", error));
+  check();
+  timer = setInterval(check, PUBLISH_CHECK_SECONDS * 1000);
+  timer.unref();
+};
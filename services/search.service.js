@@ -0,0 +1,26 @@
+import Video from "../models/video.model.js";
+import { afterCursor, pageOf, sortOf } from "../utils/pagination.js";
+
+/**
+ * Full-text search over title, description and tags using the text index on
+ * the video model. Runs as an aggregation so the text score can be used both
+ * as a sort key and as a pagination cursor.
+ */
+export const searchVideos = async (q, filters, page) => {
+  const match = { $text: { $search: q }, ...filters };
+
+  const pipeline = [
+    { $match: match },
+    { $addFields: { score: { $meta: "textScore" } } },
+  ];
+  if (page.cursor) pipeline.push({ $match: afterCursor(page) });
+  pipeline.push(
+    { $sort: sortOf(page.order) },
+    { $limit: page.limit + 1 }
+  );
+
+  const { items, pagination } = pageOf(await Video.aggregate(pipeline), page);
+  pagination.total = await Video.countDocuments(match);
+
+  return { items, pagination };
+};
@@ -0,0 +1,73 @@
+import { Readable } from "stream";
+import cloudinary from "../../config/cloudinary.js";
+
+// Cloudinary needs to know whether an asset is an image, a video or raw
+const resourceTypeOf = (options = {}) => options.resourceType || "image";
+
+export const createCloudinaryDriver = () => ({
+  name: "cloudinary",
+
+  async upload(filePath, options = {}) {
+    const resourceType = resourceTypeOf(options);
+    // raw assets keep their extension as part of the public id
+    const publicId =
+      resourceType === "raw" && options.publicId
+        ? `${options.publicId}${options.extension || ""}`
+        : options.publicId;
+
+    const result = await cloudinary.uploader.upload(filePath, {
+      resource_type: resourceType,
+      folder: options.folder,
+      public_id: publicId,
+    });
+
+    return { id: result.public_id, url: result.secure_url };
+  },
+
+  async remove(id, options = {}) {
+    await cloudinary.uploader.destroy(id, {
+      resource_type: resourceTypeOf(options),
+    });
+  },
+
+  async removeFolder(prefix, options = {}) {
+    await cloudinary.api.delete_resources_by_prefix(`${prefix}/`, {
+      resource_type: resourceTypeOf(options),
+    });
+  },
+
+  url(id, options = {}) {
+    return cloudinary.url(id, {
+      resource_type: resourceTypeOf(options),
+      secure: true,
+    });
+  },
+
+  async stat(id, options = {}) {
+    const response = await fetch(this.url(id, options), { method: "HEAD" });
+    if (!response.ok) {
+      throw new Error(`Cloudinary responded with ${response.status} for ${id}`);
+    }
+
+    // public ids carry no extension, so the type has to come from Cloudinary
+    return {
+      size: Number(response.headers.get("content-length")),
+      lastModified: new Date(response.headers.get("last-modified") || Date.now()),
+      contentType: response.headers.get("content-type") || undefined,
+    };
+  },
+
+  async stream(id, options = {}) {
+    const headers = {};
+    if (options.start !== undefined) {
+      headers.Range = `bytes=${options.start}-${options.end ?? ""}`;
+    }
+
+    const response = await fetch(this.url(id, options), { headers });
+    if (!response.ok) {
+      throw new Error(`Cloudinary responded with ${response.status} for ${id}`);
+    }
+
+    return Readable.fromWeb(response.body);
+  },
+});
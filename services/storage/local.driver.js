@@ -0,0 +1,59 @@
+import fs from "fs";
+import path from "path";
+
+export const createLocalDriver = ({ rootDir, baseUrl }) => {
+  const root = path.resolve(rootDir);
+
+  // keep every asset id inside the storage root
+  const resolve = (id) => {
+    const filePath = path.resolve(root, id);
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage id: ${id}`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: "local",
+    rootDir: root,
+
+    async upload(filePath, options = {}) {
+      const extension = options.extension || path.extname(filePath);
+      const publicId = options.publicId || `${Date.now()}`;
+      const id = path.posix.join(options.folder || "", `${publicId}${extension}`);
+
+      const target = resolve(id);
+      await fs.promises.mkdir(path.dirname(target), { recursive: true });
+      await fs.promises.copyFile(filePath, target);
+
+      return { id, url: this.url(id) };
+    },
+
+    async remove(id) {
+      await fs.promises.rm(resolve(id), { force: true });
+    },
+
+    async removeFolder(prefix) {
+      await fs.promises.rm(resolve(prefix), { recursive: true, force: true });
+    },
+
+    url(id) {
+      return `${baseUrl}/${id}`;
+    },
+
+    async stat(id) {
+      const stats = await fs.promises.stat(resolve(id));
+      return { size: stats.size, lastModified: stats.mtime };
+    },
+
+    async stream(id, options = {}) {
+      const filePath = resolve(id);
+      await fs.promises.access(filePath);
+
+      return fs.createReadStream(filePath, {
+        start: options.start,
+        end: options.end,
+      });
+    },
+  };
+};
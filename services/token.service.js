@@ -0,0 +1,123 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import mongoose from "mongoose";
+
+import User from "../models/user.model.js";
+import Session from "../models/session.model.js";
+import Revocation from "../models/revocation.model.js";
+import { ACCESS_TOKEN_TTL_MINUTES, REFRESH_TOKEN_TTL_DAYS } from "../config/token.config.js";
+
+
+const hash = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+const newRefreshToken = () => crypto.randomBytes(48).toString("base64url");
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+const signAccessToken = (user, sessionId) =>
+  jwt.sign(
+    {
+      _id: user._id,
+      channelName: user.channelName,
+      email: user.email,
+      phone: user.phone,
+      logoId: user.logoId,
+      sid: sessionId,
+    },
+    process.env.JWT_TOKEN,
+    { expiresIn: `${ACCESS_TOKEN_TTL_MINUTES}m` }
+  );
+
+const tokenPair = (user, session, refreshToken) => ({
+  token: signAccessToken(user, session._id),
+  refreshToken,
+  expiresIn: ACCESS_TOKEN_TTL_MINUTES * 60,
+});
+
+/**
+ * Open a new session for a user who just proved their credentials.
+ * Resolves to `{ token, refreshToken, expiresIn }`.
+ */
+export const createSession = async (user, req) => {
+  const refreshToken = newRefreshToken();
+
+  const session = await Session.create({
+    _id: new mongoose.Types.ObjectId(),
+    user_id: user._id,
+    tokenHash: hash(refreshToken),
+    expiresAt: refreshExpiry(),
+    userAgent: req.get("user-agent"),
+    ip: req.ip,
+  });
+
+  return tokenPair(user, session, refreshToken);
+};
+
+/**
+ * Exchange a refresh token for a new access/refresh pair. The presented
+ * token is single-use: it is swapped atomically, and presenting an already
+ * rotated token revokes the whole session. Resolves to `null` when the
+ * token is unknown, expired or revoked, or its user is banned.
+ */
+export const rotateSession = async (refreshToken) => {
+  const presented = hash(refreshToken);
+  const next = newRefreshToken();
+
+  const session = await Session.findOneAndUpdate(
+    { tokenHash: presented, revokedAt: null, expiresAt: { $gt: new Date() } },
+    { tokenHash: hash(next), previousTokenHash: presented, expiresAt: refreshExpiry() },
+    { new: true }
+  );
+
+  if (!session) {
+    const reused = await Session.findOne({ previousTokenHash: presented, revokedAt: null });
+    if (reused) {
+      console.log(`refresh token reuse detected, revoking session ${reused._id}`);
+      await revokeSession(reused._id);
+    }
+    return null;
+  }
+
+  const user = await User.findById(session.user_id);
+  if (!user || user.bannedAt) {
+    await revokeSession(session._id);
+    return null;
+  }
+
+  return tokenPair(user, session, next);
+};
+
+const revokeSessions = async (sessionIds) => {
+  if (!sessionIds.length) return;
+
+  // outstanding access tokens live at most one access TTL past now
+  const expiresAt = new Date(Date.now() + ACCESS_TOKEN_TTL_MINUTES * 60 * 1000);
+
+  await Session.updateMany(
+    { _id: { $in: sessionIds }, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+  await Revocation.bulkWrite(
+    sessionIds.map((sessionId) => ({
+      updateOne: {
+        filter: { session_id: sessionId },
+        update: { $set: { expiresAt } },
+        upsert: true,
+      },
+    }))
+  );
+};
+
+export const revokeSession = (sessionId) => revokeSessions([sessionId]);
+
+// log a user out everywhere, optionally keeping the session `except`
+export const revokeAllSessions = async (userId, { except } = {}) => {
+  const filter = { user_id: userId, revokedAt: null };
+  if (except) filter._id = { $ne: except };
+
+  const sessions = await Session.find(filter).select("_id");
+  await revokeSessions(sessions.map((session) => session._id));
+};
+
+export const isSessionRevoked = async (sessionId) =>
+  Boolean(await Revocation.exists({ session_id: sessionId }));
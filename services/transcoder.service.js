@@ -0,0 +1,166 @@
+import fs from "fs";
+import path from "path";
+import { pipeline } from "stream/promises";
+
+import Video from "../models/video.model.js";
+import storage from "../config/storage.config.js";
+import { runFfmpeg, probeMedia, generateThumbnails } from "./media.service.js";
+import { enqueueJob } from "./queue.service.js";
+import {
+  TRANSCODE_WORK_DIR,
+  HLS_SEGMENT_SECONDS,
+  HLS_LADDER,
+} from "../config/transcode.config.js";
+
+// transcoding is slow and rarely fixed by retrying many times
+const TRANSCODE_ATTEMPTS = 3;
+
+const renditionArgs = (sourcePath, outputDir, rendition) => [
+  "-y",
+  "-i", sourcePath,
+  "-vf", `scale=-2:${rendition.height}`,
+  "-c:v", "libx264",
+  "-preset", "veryfast",
+  "-profile:v", "main",
+  "-b:v", rendition.videoBitrate,
+  "-maxrate", rendition.videoBitrate,
+  "-bufsize", rendition.videoBitrate,
+  "-c:a", "aac",
+  "-ac", "2",
+  "-b:a", rendition.audioBitrate,
+  "-f", "hls",
+  "-hls_time", String(HLS_SEGMENT_SECONDS),
+  "-hls_playlist_type", "vod",
+  "-hls_segment_filename", path.join(outputDir, "seg_%03d.ts"),
+  path.join(outputDir, "index.m3u8"),
+];
+
+const masterPlaylist = (ladder) =>
+  [
+    "#EXTM3U",
+    "#EXT-X-VERSION:3",
+    ...ladder.flatMap((rendition) => [
+      `#EXT-X-STREAM-INF:BANDWIDTH=${rendition.bandwidth}`,
+      `${rendition.name}/index.m3u8`,
+    ]),
+    "",
+  ].join("\n");
+
+const uploadDirectory = async (dir, folder) => {
+  for (const entry of await fs.promises.readdir(dir, { withFileTypes: true })) {
+    const entryPath = path.join(dir, entry.name);
+
+    if (entry.isDirectory()) {
+      await uploadDirectory(entryPath, `${folder}/${entry.name}`);
+    } else if (/\.(m3u8|ts)$/.test(entry.name)) {
+      const extension = path.extname(entry.name);
+      await storage.upload(entryPath, {
+        resourceType: "raw",
+        folder,
+        publicId: path.basename(entry.name, extension),
+        extension,
+      });
+    }
+  }
+};
+
+// always start from the stored original so queued work survives restarts
+const downloadSource = async (video, workDir) => {
+  await fs.promises.rm(workDir, { recursive: true, force: true });
+  await fs.promises.mkdir(workDir, { recursive: true });
+
+  const sourcePath = path.join(workDir, `source${path.extname(video.videoId)}`);
+  const source = await storage.stream(video.videoId, { resourceType: "video" });
+  await pipeline(source, fs.createWriteStream(sourcePath));
+
+  return sourcePath;
+};
+
+export const enqueueTranscode = (videoId) =>
+  enqueueJob("video.transcode", { videoId: videoId.toString() }, { maxAttempts: TRANSCODE_ATTEMPTS });
+
+/**
+ * Generate thumbnail candidates for a video uploaded without a thumbnail and
+ * use the middle one until the owner picks another.
+ */
+export const generateVideoThumbnails = async (videoId) => {
+  const video = await Video.findById(videoId);
+  // deleted, or the owner uploaded a thumbnail in the meantime
+  if (!video || !video.videoId || video.thumbnailId) return;
+
+  const workDir = path.join(TRANSCODE_WORK_DIR, `${video._id}-thumbnails`);
+
+  try {
+    const sourcePath = await downloadSource(video, workDir);
+    const candidates = await generateThumbnails(video._id, sourcePath, video.duration, workDir);
+    const middle = candidates[Math.floor(candidates.length / 2)];
+
+    await Video.findByIdAndUpdate(video._id, { thumbnailCandidates: candidates });
+    await Video.updateOne(
+      { _id: video._id, thumbnailId: null },
+      { thumbnailUrl: middle.url, thumbnailId: middle.id }
+    );
+  } finally {
+    await fs.promises.rm(workDir, { recursive: true, force: true });
+  }
+};
+
+/**
+ * Read the metadata of the stored upload of a video, turn it into an HLS
+ * ladder with a master playlist and record the outcome in its
+ * `processingStatus`. Videos without a thumbnail get a thumbnail job once
+ * their duration is known. Failures are thrown for the queue to retry; the
+ * video shows `failed` once the job runs out of attempts.
+ */
+export const transcodeVideo = async (videoId) => {
+  const video = await Video.findByIdAndUpdate(
+    videoId,
+    { processingStatus: "processing", $unset: { processingError: 1 } },
+    { new: true }
+  );
+  if (!video) return;
+
+  const workDir = path.join(TRANSCODE_WORK_DIR, video._id.toString());
+  const hlsPath = `hls/${video._id}`;
+
+  try {
+    const sourcePath = await downloadSource(video, workDir);
+
+    // a file ffprobe cannot read fails the transcode
+    const { duration, media } = await probeMedia(sourcePath);
+    await Video.findByIdAndUpdate(video._id, { duration, media });
+    if (!video.thumbnailId) {
+      await enqueueJob("video.thumbnails", { videoId: video._id.toString() });
+    }
+
+    const outputDir = path.join(workDir, "hls");
+    for (const rendition of HLS_LADDER) {
+      const renditionDir = path.join(outputDir, rendition.name);
+      await fs.promises.mkdir(renditionDir, { recursive: true });
+      await runFfmpeg(renditionArgs(sourcePath, renditionDir, rendition));
+    }
+    await fs.promises.writeFile(
+      path.join(outputDir, "master.m3u8"),
+      masterPlaylist(HLS_LADDER)
+    );
+
+    await storage.removeFolder(hlsPath, { resourceType: "raw" });
+    await uploadDirectory(outputDir, hlsPath);
+
+    await Video.findByIdAndUpdate(video._id, {
+      processingStatus: "ready",
+      hlsPath,
+      renditions: HLS_LADDER.map((rendition) => rendition.name),
+    });
+    console.log(`Video ${video._id} transcoded`);
+  } catch (error) {
+    // back in line for the queue's next attempt
+    await Video.findByIdAndUpdate(video._id, {
+      processingStatus: "queued",
+      processingError: error.message,
+    });
+    throw error;
+  } finally {
+    await fs.promises.rm(workDir, { recursive: true, force: true });
+  }
+};
@@ -0,0 +1,167 @@
+import fs from "fs";
+import path from "path";
+import mongoose from "mongoose";
+import { pipeline } from "stream/promises";
+
+import UploadSession from "../models/upload.model.js";
+import { UPLOAD_WORK_DIR, UPLOAD_SESSION_TTL_HOURS } from "../config/upload.config.js";
+
+// a chunk lock older than this belongs to a request that died mid-write
+const LOCK_STALE_MINUTES = 15;
+const CLEANUP_INTERVAL_MINUTES = 15;
+
+let timer = null;
+
+const expiry = () => new Date(Date.now() + UPLOAD_SESSION_TTL_HOURS * 60 * 60 * 1000);
+
+export const uploadFilePath = (upload) => path.join(UPLOAD_WORK_DIR, `${upload._id}.part`);
+
+/**
+ * Move a received file into UPLOAD_WORK_DIR/staged, where it waits for the
+ * job worker to put it in storage. Resolves to its new path.
+ */
+export const stageFile = async (filePath, name) => {
+  const target = path.join(UPLOAD_WORK_DIR, "staged", name);
+  await fs.promises.mkdir(path.dirname(target), { recursive: true });
+
+  try {
+    await fs.promises.rename(filePath, target);
+  } catch (error) {
+    // temp files may live on another disk than the work dir
+    if (error.code !== "EXDEV") throw error;
+    await fs.promises.copyFile(filePath, target);
+    await fs.promises.rm(filePath, { force: true });
+  }
+
+  return target;
+};
+
+export const removeStagedFiles = (...filePaths) =>
+  Promise.all(
+    filePaths.filter(Boolean).map((filePath) => fs.promises.rm(filePath, { force: true }))
+  );
+
+// what clients see of an upload session
+export const describeUpload = (upload) => ({
+  _id: upload._id,
+  filename: upload.filename,
+  mimeType: upload.mimeType,
+  size: upload.size,
+  offset: upload.offset,
+  status: upload.status,
+  expiresAt: upload.expiresAt,
+});
+
+/**
+ * Open a resumable upload of `size` bytes and create the empty file its
+ * chunks are written into.
+ */
+export const createUpload = async (userId, { filename, mimeType, size }) => {
+  const upload = new UploadSession({
+    _id: new mongoose.Types.ObjectId(),
+    user_id: userId,
+    filename,
+    mimeType,
+    size,
+    expiresAt: expiry(),
+  });
+
+  await fs.promises.mkdir(UPLOAD_WORK_DIR, { recursive: true });
+  await fs.promises.writeFile(uploadFilePath(upload), "");
+  await upload.save();
+
+  return upload;
+};
+
+// sessions of other users and expired ones look missing
+export const findUpload = (uploadId, userId) =>
+  UploadSession.findOne({ _id: uploadId, user_id: userId, expiresAt: { $gt: new Date() } });
+
+/**
+ * Claim the right to write the chunk starting at `offset`. Resolves to the
+ * locked session, or `null` when another request is writing or the offset
+ * moved on in the meantime.
+ */
+export const lockUpload = (upload, offset) =>
+  UploadSession.findOneAndUpdate(
+    {
+      _id: upload._id,
+      status: "active",
+      offset,
+      $or: [
+        { lockedAt: null },
+        { lockedAt: { $lt: new Date(Date.now() - LOCK_STALE_MINUTES * 60 * 1000) } },
+      ],
+    },
+    { lockedAt: new Date(), expiresAt: expiry() },
+    { new: true }
+  );
+
+/**
+ * Write `source` into a locked session at its offset, then release the lock.
+ * Bytes that reached the disk before a dropped connection are kept, so the
+ * client resumes from the recorded offset. Resolves to the updated session.
+ */
+export const writeChunk = async (upload, source) => {
+  const file = fs.createWriteStream(uploadFilePath(upload), { flags: "r+", start: upload.offset });
+
+  let failure = null;
+  try {
+    await pipeline(source, file);
+  } catch (error) {
+    failure = error;
+  }
+
+  const updated = await UploadSession.findByIdAndUpdate(
+    upload._id,
+    { $inc: { offset: file.bytesWritten }, lockedAt: null, expiresAt: expiry() },
+    { new: true }
+  );
+
+  if (failure) throw failure;
+  return updated;
+};
+
+/**
+ * Mark a fully received upload as completing so it is turned into a video
+ * only once. Resolves to `null` when a chunk is still being written or
+ * another request got there first.
+ */
+export const lockCompletion = (upload) =>
+  UploadSession.findOneAndUpdate(
+    { _id: upload._id, status: "active", offset: upload.size, lockedAt: null },
+    { status: "completing", expiresAt: expiry() },
+    { new: true }
+  );
+
+// let the client retry completing after creating the video failed
+export const releaseCompletion = (upload) =>
+  UploadSession.updateOne({ _id: upload._id }, { status: "active" });
+
+export const removeUpload = async (upload) => {
+  await fs.promises.rm(uploadFilePath(upload), { force: true });
+  await UploadSession.deleteOne({ _id: upload._id });
+};
+
+// drop sessions nobody touched within UPLOAD_SESSION_TTL_HOURS, with their bytes
+export const expireUploads = async (now = new Date()) => {
+  const expired = await UploadSession.find({ expiresAt: { $lte: now } });
+
+  for (const upload of expired) {
+    await removeUpload(upload);
+  }
+
+  if (expired.length) console.log(`removed ${expired.length} expired upload(s)`);
+  return expired.length;
+};
+
+export const startUploadCleanup = () => {
+  if (timer) return;
+
+  const sweep = () =>
+    expireUploads().catch((error) => console.error("Upload Cleanup Error:", error));
+
+  sweep();
+  timer = setInterval(sweep, CLEANUP_INTERVAL_MINUTES * 60 * 1000);
+  timer.unref();
+};
@@ -0,0 +1,73 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+
+import Token from "../models/token.model.js";
+import mailer, { CLIENT_BASE_URL } from "../config/mailer.config.js";
+
+const PURPOSES = {
+  verify_email: { ttlMinutes: 24 * 60, path: "/verify-email" },
+  reset_password: { ttlMinutes: 60, path: "/reset-password" },
+};
+
+const hash = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+const clientUrl = (path, token) => `${CLIENT_BASE_URL}${path}?token=${token}`;
+
+/**
+ * Create a fresh single-use token for `purpose`, invalidating any earlier
+ * unused one, and return the raw token for mailing.
+ */
+const issueToken = async (userId, purpose) => {
+  const token = crypto.randomBytes(32).toString("base64url");
+
+  await Token.deleteMany({ user_id: userId, purpose, usedAt: null });
+  await Token.create({
+    _id: new mongoose.Types.ObjectId(),
+    user_id: userId,
+    purpose,
+    tokenHash: hash(token),
+    expiresAt: new Date(Date.now() + PURPOSES[purpose].ttlMinutes * 60 * 1000),
+  });
+
+  return token;
+};
+
+/**
+ * Mark a token as used and return its user id, or `null` when the token is
+ * unknown, expired, already used or meant for another purpose.
+ */
+export const consumeToken = async (token, purpose) => {
+  const used = await Token.findOneAndUpdate(
+    {
+      tokenHash: hash(token),
+      purpose,
+      usedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    { usedAt: new Date() }
+  );
+
+  return used ? used.user_id : null;
+};
+
+export const sendVerificationEmail = async (user) => {
+  const token = await issueToken(user._id, "verify_email");
+  const link = clientUrl(PURPOSES.verify_email.path, token);
+
+  await mailer.send({
+    to: user.email,
+    subject: "Verify your V-Streamer email",
+    text: `Hi ${user.channelName},\n\nConfirm your email address by opening this link within 24 hours:\n${link}\n\nIf you did not sign up, ignore this email.`,
+  });
+};
+
+export const sendPasswordResetEmail = async (user) => {
+  const token = await issueToken(user._id, "reset_password");
+  const link = clientUrl(PURPOSES.reset_password.path, token);
+
+  await mailer.send({
+    to: user.email,
+    subject: "Reset your V-Streamer password",
+    text: `Hi ${user.channelName},\n\nReset your password by opening this link within 1 hour:\n${link}\n\nIf you did not ask for this, ignore this email and your password stays the same.`,
+  });
+};
@@ -0,0 +1,210 @@
+import mongoose from "mongoose";
+import path from "path";
+
+import Video from "../models/video.model.js";
+import Comment from "../models/comment.model.js";
+import View from "../models/view.model.js";
+import WatchHistory from "../models/history.model.js";
+import WatchLater from "../models/watchlater.model.js";
+import Like from "../models/like.model.js";
+import storage from "../config/storage.config.js";
+import { closeReportsFor } from "./report.service.js";
+import { removeVideoFromPlaylists } from "./playlist.service.js";
+import { enqueueTranscode } from "./transcoder.service.js";
+import { thumbnailFolder } from "./media.service.js";
+import { enqueueJob } from "./queue.service.js";
+import { removeAsset, removeAssetFolder } from "./asset.service.js";
+import { stageFile, removeStagedFiles } from "./upload.service.js";
+import { hasPermission } from "./permission.service.js";
+import { extensionFor } from "../utils/validation.js";
+import { BadRequestError, NotFoundError } from "../utils/errors.js";
+
+// older videos predate visibility and scheduling, a missing field counts as
+// public and published
+const PUBLISHED = { publishStatus: { $in: ["published", null] } };
+
+// videos anyone holding the link may open
+export const LINKABLE_VIDEOS = {
+  ...PUBLISHED,
+  visibility: { $in: ["public", "unlisted", null] },
+};
+
+// videos shown in public listings, which also leave out hidden ones and
+// those whose file is not stored yet; a stored original streams even while
+// its transcode is retried or after it failed
+export const LISTED_VIDEOS = {
+  ...PUBLISHED,
+  visibility: { $in: ["public", null] },
+  hidden: { $ne: true },
+  videoId: { $exists: true, $ne: null },
+};
+
+// filter for the videos a user may open: their own and linkable ones that
+// are not hidden, like canOpen
+export const openableBy = (userId) => ({
+  $or: [{ user_id: userId }, { ...LINKABLE_VIDEOS, hidden: { $ne: true } }],
+});
+
+// owners open all their videos; hidden ones stay reachable only by them and
+// moderators reviewing the reports
+export const canOpen = async (video, user) => {
+  if (user && video.user_id.equals(user._id)) return true;
+  if (video.hidden) return Boolean(user) && hasPermission(user, "moderation:read");
+  return video.publishStatus === "published" && video.visibility !== "private";
+};
+
+// whether anyone may see the video in listings, which is when shared caches
+// may keep its media
+export const isListed = (video) =>
+  [undefined, null, "published"].includes(video.publishStatus) &&
+  [undefined, null, "public"].includes(video.visibility) &&
+  !video.hidden;
+
+/**
+ * Load a video `user` may open, selecting `fields` on top of what canOpen
+ * reads. Videos they may not open are reported missing, like in GET /:id.
+ */
+export const findOpenableVideo = async (videoId, user, fields = "") => {
+  const video = await Video.findById(videoId).select(`user_id publishStatus visibility hidden ${fields}`);
+  if (!video || !(await canOpen(video, user))) {
+    throw new NotFoundError("Video not found");
+  }
+  return video;
+};
+
+/**
+ * Publication fields for a video saved as a draft, scheduled for `publishAt`
+ * or published right away. A `publishAt` already in the past publishes now.
+ */
+export const publicationFor = ({ draft, publishAt }, now = new Date()) => {
+  if (draft) {
+    return { publishStatus: "draft", publishAt: null, publishedAt: null };
+  }
+  if (publishAt && publishAt > now) {
+    return { publishStatus: "scheduled", publishAt, publishedAt: null };
+  }
+  return { publishStatus: "published", publishAt: null, publishedAt: now };
+};
+
+// an uploaded thumbnail, as opposed to one of the generated candidates
+export const hasCustomThumbnail = (video) =>
+  Boolean(video.thumbnailId) &&
+  !video.thumbnailCandidates.some((candidate) => candidate.id === video.thumbnailId);
+
+/**
+ * Create a video from the validated upload fields and hand its files to the
+ * job worker, which stores them and then transcodes the video; thumbnail
+ * candidates are generated when there is no thumbnail. `video` and
+ * `thumbnail` are `{ filePath, mimeType }` of files on local disk, either from
+ * express-fileupload or an assembled resumable upload.
+ */
+export const createVideo = async (userId, fields, { video, thumbnail }) => {
+  const { title, description, category, tags, visibility, draft, publishAt } = fields;
+
+  if (draft && publishAt) {
+    throw new BadRequestError("A draft cannot have a publishAt time", "DRAFT_CANNOT_BE_SCHEDULED");
+  }
+
+  const newVideo = new Video({
+    _id: new mongoose.Types.ObjectId(),
+    title,
+    description,
+    user_id: userId,
+    category,
+    tags: tags || [],
+    visibility: visibility || "public",
+    ...publicationFor({ draft, publishAt }),
+  });
+
+  const videoPath = await stageFile(video.filePath, `${newVideo._id}_video${extensionFor(video.mimeType)}`);
+  const thumbnailPath = thumbnail
+    ? await stageFile(thumbnail.filePath, `${newVideo._id}_thumbnail${extensionFor(thumbnail.mimeType)}`)
+    : null;
+
+  await newVideo.save();
+  await enqueueJob("video.store", { videoId: newVideo._id.toString(), videoPath, thumbnailPath });
+
+  return newVideo;
+};
+
+/**
+ * Put the staged files of a new video in storage and queue its transcode.
+ * Stored ids derive from the video id, so a retry overwrites rather than
+ * duplicates what an earlier attempt uploaded.
+ */
+export const storeVideoFiles = async ({ videoId, videoPath, thumbnailPath }) => {
+  // deleted before its files were stored
+  if (!(await Video.exists({ _id: videoId }))) {
+    await removeStagedFiles(videoPath, thumbnailPath);
+    return;
+  }
+
+  const videoUpload = await storage.upload(videoPath, {
+    resourceType: "video",
+    folder: "videos",
+    publicId: `video_${videoId}`,
+    extension: path.extname(videoPath),
+  });
+
+  const stored = await Video.updateOne(
+    { _id: videoId },
+    { videoUrl: videoUpload.url, videoId: videoUpload.id }
+  );
+  // deleted while the file was being stored
+  if (!stored.matchedCount) {
+    await storage.remove(videoUpload.id, { resourceType: "video" });
+    await removeStagedFiles(videoPath, thumbnailPath);
+    return;
+  }
+
+  if (thumbnailPath) {
+    const thumbnailUpload = await storage.upload(thumbnailPath, {
+      folder: "thumbnails",
+      publicId: `thumbnail_${videoId}`,
+      extension: path.extname(thumbnailPath),
+    });
+    // unless the owner replaced the thumbnail in the meantime
+    await Video.updateOne(
+      { _id: videoId, thumbnailId: null },
+      { thumbnailUrl: thumbnailUpload.url, thumbnailId: thumbnailUpload.id }
+    );
+  }
+
+  await enqueueTranscode(videoId);
+  await removeStagedFiles(videoPath, thumbnailPath);
+};
+
+/**
+ * Delete a video together with its comments, its view events, its likes, and
+ * its watch history and watch later entries. Its stored media is left to the job
+ * worker. The video leaves every playlist and open reports on it or its
+ * comments are closed.
+ */
+export const deleteVideo = async (video) => {
+  if (video.videoId) {
+    await removeAsset(video.videoId, { resourceType: "video" });
+  }
+
+  if (video.thumbnailId) {
+    await removeAsset(video.thumbnailId);
+  }
+
+  if (video.thumbnailCandidates.length) {
+    await removeAssetFolder(thumbnailFolder(video._id));
+  }
+
+  if (video.hlsPath) {
+    await removeAssetFolder(video.hlsPath, { resourceType: "raw" });
+  }
+
+  const comments = await Comment.find({ video_id: video._id }).select("_id");
+  await closeReportsFor([video._id, ...comments.map((comment) => comment._id)]);
+
+  await Comment.deleteMany({ video_id: video._id });
+  await View.deleteMany({ video_id: video._id });
+  await WatchHistory.deleteMany({ video_id: video._id });
+  await WatchLater.deleteMany({ video_id: video._id });
+  await Like.deleteMany({ video_id: video._id });
+  await removeVideoFromPlaylists(video._id);
+  await Video.findByIdAndDelete(video._id);
+};
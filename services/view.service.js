@@ -0,0 +1,61 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+
+import Video from "../models/video.model.js";
+import View from "../models/view.model.js";
+import rateLimitStore from "../config/ratelimit.config.js";
+import { VIEW_WINDOW_MINUTES, ANON_VIEWS_PER_IP } from "../config/view.config.js";
+
+const WINDOW_MS = VIEW_WINDOW_MINUTES * 60 * 1000;
+
+const hash = (value) => crypto.createHash("sha256").update(value).digest("hex");
+
+/**
+ * Identify who is watching. Signed-in users are keyed by id; anonymous
+ * viewers by their IP together with the `X-Viewer-Id` session key the player
+ * sends, or the user agent without one. Keys are hashed so raw addresses are
+ * never stored.
+ */
+export const viewerKeyFor = (req) => {
+  if (req.user) return `user:${req.user._id}`;
+
+  const sessionKey = req.get("x-viewer-id") || req.get("user-agent") || "";
+  return `anon:${hash(`${req.ip}|${sessionKey}`)}`;
+};
+
+/**
+ * Store a view event and bump the video's `views` counter when it is the
+ * viewer's first view in the current window; repeat views are not stored.
+ * Anonymous views also pass `ip`: at most ANON_VIEWS_PER_IP of them count per
+ * video and window, so rotating X-Viewer-Id cannot inflate the counter.
+ * Returns whether it was counted.
+ */
+export const recordView = async ({ videoId, viewerKey, userId, ip }) => {
+  const event = {
+    video_id: videoId,
+    viewerKey,
+    user_id: userId,
+    window: Math.floor(Date.now() / WINDOW_MS),
+  };
+
+  if (await View.exists({ video_id: videoId, viewerKey, window: event.window })) return false;
+
+  if (ip) {
+    const { count } = await rateLimitStore.hit(
+      `views:${videoId}:${hash(ip)}:${event.window}`,
+      WINDOW_MS / 1000
+    );
+    if (count > ANON_VIEWS_PER_IP) return false;
+  }
+
+  try {
+    await View.create({ _id: new mongoose.Types.ObjectId(), ...event });
+  } catch (error) {
+    // the unique index says a parallel request counted this viewer first
+    if (error.code !== 11000) throw error;
+    return false;
+  }
+
+  await Video.updateOne({ _id: videoId }, { $inc: { views: 1 } });
+  return true;
+};
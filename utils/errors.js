@@ -0,0 +1,58 @@
+/**
+ * Errors thrown by handlers and middleware. The error middleware turns them
+ * into the `{ error: { code, message, details } }` envelope with `status`.
+ */
+export class AppError extends Error {
+  constructor(message, { status = 500, code = "INTERNAL_ERROR", details } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+export class BadRequestError extends AppError {
+  constructor(message = "Bad request", code = "BAD_REQUEST") {
+    super(message, { status: 400, code });
+  }
+}
+
+// `details` lists each invalid field as `{ location, field, message }`
+export class ValidationError extends AppError {
+  constructor(message = "Validation failed", details = []) {
+    super(message, { status: 400, code: "VALIDATION_FAILED", details });
+  }
+}
+
+export class UnauthorizedError extends AppError {
+  constructor(message = "Authentication required", code = "UNAUTHORIZED") {
+    super(message, { status: 401, code });
+  }
+}
+
+export class ForbiddenError extends AppError {
+  constructor(message = "You are not allowed to do this", code = "FORBIDDEN") {
+    super(message, { status: 403, code });
+  }
+}
+
+export class NotFoundError extends AppError {
+  constructor(message = "Not found", code = "NOT_FOUND") {
+    super(message, { status: 404, code });
+  }
+}
+
+export class ConflictError extends AppError {
+  constructor(message = "Conflict", code = "CONFLICT") {
+    super(message, { status: 409, code });
+  }
+}
+
+// `retryAfter` (seconds) is sent as the Retry-After header
+export class TooManyRequestsError extends AppError {
+  constructor(message = "Too many requests", code = "RATE_LIMITED", retryAfter) {
+    super(message, { status: 429, code });
+    this.retryAfter = retryAfter;
+  }
+}
@@ -0,0 +1,94 @@
+import mongoose from "mongoose";
+
+export const DEFAULT_LIMIT = 20;
+export const MAX_LIMIT = 50;
+
+export const encodeCursor = (sort, value, id) =>
+  Buffer.from(JSON.stringify({ s: sort, v: value, id })).toString("base64url");
+
+// the cursor value as its sort field's type, or `null`; it goes into the
+// query as is, so anything else (an operator object included) is refused
+const cursorValue = (v, type) => {
+  if (type === "date") {
+    const date = typeof v === "string" ? new Date(v) : null;
+    return date && !Number.isNaN(date.getTime()) ? date : null;
+  }
+  if (type === "string") return typeof v === "string" ? v : null;
+  return Number.isFinite(v) ? v : null;
+};
+
+/**
+ * Decode a cursor produced by `encodeCursor` for the given sort. Returns
+ * `null` when the cursor is malformed or belongs to another sort order.
+ */
+export const decodeCursor = (cursor, sort, order) => {
+  try {
+    const { s, v, id } = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    if (s !== sort || typeof id !== "string" || !mongoose.isValidObjectId(id)) return null;
+
+    const value = cursorValue(v, order.type);
+    if (value === null) return null;
+
+    return { value, id: new mongoose.Types.ObjectId(id) };
+  } catch {
+    return null;
+  }
+};
+
+// orders are descending unless they set `direction: 1`
+export const sortOf = (order) => {
+  const direction = order.direction || -1;
+  return { [order.field]: direction, _id: direction };
+};
+
+// everything strictly after the cursor in (field, _id) order
+export const afterCursor = ({ order, cursor }) => {
+  const past = order.direction === 1 ? "$gt" : "$lt";
+
+  return {
+    $or: [
+      { [order.field]: { [past]: cursor.value } },
+      { [order.field]: cursor.value, _id: { [past]: cursor.id } },
+    ],
+  };
+};
+
+/**
+ * Trim a result fetched with `limit + 1` down to one page and build the
+ * cursor for the next one; the extra document tells whether it exists.
+ */
+export const pageOf = (docs, page) => {
+  const items = docs.slice(0, page.limit);
+  const last = items[items.length - 1];
+  const nextCursor =
+    docs.length > page.limit
+      ? encodeCursor(page.sort, last[page.order.field], last._id)
+      : null;
+
+  return { items, pagination: { limit: page.limit, sort: page.sort, nextCursor } };
+};
+
+/**
+ * Fetch one page of `model` matching `filter`, ordered by the sort picked in
+ * `req.page` (see the pagination middleware) with `_id` as a tie-breaker.
+ */
+export const paginate = async (model, filter, page, options = {}) => {
+  const query = page.cursor ? { $and: [filter, afterCursor(page)] } : filter;
+
+  let find = model
+    .find(query)
+    .sort(sortOf(page.order))
+    .limit(page.limit + 1);
+  if (options.select) find = find.select(options.select);
+  if (options.populate) find = find.populate(...options.populate);
+
+  const { items, pagination } = pageOf(await find, page);
+
+  if (options.countTotal !== false) {
+    pagination.total = Object.keys(filter).length
+      ? await model.countDocuments(filter)
+      : await model.estimatedDocumentCount();
+  }
+
+  return { items, pagination };
+};
@@ -0,0 +1,48 @@
+import path from "path";
+
+const VIDEO_MIME_TYPES = {
+  ".mp4": "video/mp4",
+  ".m4v": "video/mp4",
+  ".webm": "video/webm",
+  ".ogv": "video/ogg",
+  ".mov": "video/quicktime",
+  ".mkv": "video/x-matroska",
+  ".ts": "video/mp2t",
+};
+
+export const videoMimeType = (id) =>
+  VIDEO_MIME_TYPES[path.extname(id).toLowerCase()] || "application/octet-stream";
+
+/**
+ * Parse a single-range `Range` header against a file of `size` bytes.
+ * Returns `null` when the whole file should be sent, `{ start, end }` for a
+ * satisfiable range and `false` when the range cannot be satisfied.
+ */
+export const parseRange = (header, size) => {
+  if (!header) return null;
+
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+  // multi-range and other units are not supported, fall back to the full body
+  if (!match) return null;
+
+  const [, rawStart, rawEnd] = match;
+  let start;
+  let end;
+
+  if (rawStart === "") {
+    if (rawEnd === "") return false;
+    // suffix range: the last N bytes
+    start = Math.max(size - Number(rawEnd), 0);
+    end = size - 1;
+  } else {
+    start = Number(rawStart);
+    end = rawEnd === "" ? size - 1 : Math.min(Number(rawEnd), size - 1);
+  }
+
+  if (start >= size || start > end) return false;
+
+  return { start, end };
+};
+
+export const buildEtag = (id, stats) =>
+  `"${Buffer.from(id).toString("base64url")}-${stats.size.toString(16)}-${stats.lastModified.getTime().toString(16)}"`;
@@ -0,0 +1,157 @@
+/**
+ * Declarative field rules for the validate middleware. Each rule is a
+ * function `(value, field) => ({ value } | { error })`; the returned value is
+ * the normalized one (trimmed strings, numbers parsed from form fields...).
+ * An `undefined` value with no error means the optional field was absent.
+ */
+
+const MB = 1024 * 1024;
+
+const isMissing = (value) =>
+  value === undefined || value === null || (typeof value === "string" && value.trim() === "");
+
+// shared handling of `required` for every rule
+const rule = (check) => (options = {}) => (value, field) => {
+  if (isMissing(value)) {
+    return options.required ? { error: `${field} is required` } : { value: undefined };
+  }
+  return check(value, field, options);
+};
+
+export const string = rule((value, field, { min, max, pattern, oneOf }) => {
+  if (typeof value !== "string") return { error: `${field} must be a string` };
+
+  const trimmed = value.trim();
+  if (min !== undefined && trimmed.length < min) {
+    return { error: `${field} must be at least ${min} characters` };
+  }
+  if (max !== undefined && trimmed.length > max) {
+    return { error: `${field} must be at most ${max} characters` };
+  }
+  if (pattern && !pattern.test(trimmed)) return { error: `${field} has an invalid format` };
+  if (oneOf && !oneOf.includes(trimmed)) {
+    return { error: `${field} must be one of: ${oneOf.join(", ")}` };
+  }
+  return { value: trimmed };
+});
+
+// passwords and tokens are compared byte for byte, so they are never trimmed
+export const secret = rule((value, field, { min, max }) => {
+  if (typeof value !== "string") return { error: `${field} must be a string` };
+  if (min !== undefined && value.length < min) {
+    return { error: `${field} must be at least ${min} characters` };
+  }
+  if (max !== undefined && value.length > max) {
+    return { error: `${field} must be at most ${max} characters` };
+  }
+  return { value };
+});
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+export const email = rule((value, field) => {
+  if (typeof value !== "string" || !EMAIL_PATTERN.test(value.trim())) {
+    return { error: `${field} must be a valid email address` };
+  }
+  return { value: value.trim() };
+});
+
+export const objectId = rule((value, field) => {
+  if (typeof value !== "string" || !/^[0-9a-f]{24}$/i.test(value)) {
+    return { error: `${field} must be a valid ID` };
+  }
+  return { value };
+});
+
+export const number = rule((value, field, { min, max, integer }) => {
+  const parsed = typeof value === "number" ? value : Number(value);
+  if (!Number.isFinite(parsed) || (integer && !Number.isInteger(parsed))) {
+    return { error: `${field} must be ${integer ? "an integer" : "a number"}` };
+  }
+  if (min !== undefined && parsed < min) return { error: `${field} must be at least ${min}` };
+  if (max !== undefined && parsed > max) return { error: `${field} must be at most ${max}` };
+  return { value: parsed };
+});
+
+export const date = rule((value, field) => {
+  const parsed = new Date(value);
+  if (typeof value === "object" || Number.isNaN(parsed.getTime())) {
+    return { error: `${field} must be a valid date` };
+  }
+  return { value: parsed };
+});
+
+export const boolean = rule((value, field) => {
+  if (value === true || value === "true") return { value: true };
+  if (value === false || value === "false") return { value: false };
+  return { error: `${field} must be true or false` };
+});
+
+// comma-separated form field or JSON array, e.g. video tags
+export const list = rule((value, field, { maxItems, itemMax }) => {
+  const items = Array.isArray(value) ? value : String(value).split(",");
+  if (items.some((item) => typeof item !== "string")) {
+    return { error: `${field} must be a list of strings` };
+  }
+
+  const cleaned = [...new Set(items.map((item) => item.trim()).filter(Boolean))];
+  if (maxItems !== undefined && cleaned.length > maxItems) {
+    return { error: `${field} can have at most ${maxItems} items` };
+  }
+  if (itemMax !== undefined && cleaned.some((item) => item.length > itemMax)) {
+    return { error: `each ${field} item must be at most ${itemMax} characters` };
+  }
+  return { value: cleaned };
+});
+
+// JSON array of distinct IDs, e.g. the new order of a playlist
+export const objectIdList = rule((value, field, { maxItems }) => {
+  if (!Array.isArray(value) || value.some((id) => typeof id !== "string" || !/^[0-9a-f]{24}$/i.test(id))) {
+    return { error: `${field} must be a list of valid IDs` };
+  }
+  if (new Set(value).size !== value.length) return { error: `${field} must not repeat an ID` };
+  if (maxItems !== undefined && value.length > maxItems) {
+    return { error: `${field} can have at most ${maxItems} items` };
+  }
+  return { value };
+});
+
+// an express-fileupload file; `types` are mime types or prefixes ending in "/"
+export const file = rule((value, field, { types, maxSizeMb }) => {
+  if (Array.isArray(value)) return { error: `${field} must be a single file` };
+
+  if (types && !types.some((type) =>
+    type.endsWith("/") ? value.mimetype.startsWith(type) : value.mimetype === type
+  )) {
+    return { error: `${field} must be one of: ${types.join(", ")}` };
+  }
+  if (maxSizeMb !== undefined && value.size > maxSizeMb * MB) {
+    return { error: `${field} must be at most ${maxSizeMb} MB` };
+  }
+  return { value };
+});
+
+// stored files take their extension from the validated mime type, never from
+// the client's filename, so an upload cannot be served back as another type
+const EXTENSIONS = {
+  "image/jpeg": ".jpg",
+  "image/png": ".png",
+  "image/webp": ".webp",
+  "image/gif": ".gif",
+  "video/mp4": ".mp4",
+  "video/webm": ".webm",
+  "video/quicktime": ".mov",
+  "video/x-matroska": ".mkv",
+  "video/ogg": ".ogv",
+};
+
+export const extensionFor = (mimeType) => EXTENSIONS[mimeType] || "";
+
+export const IMAGE_TYPES = ["image/jpeg", "image/png", "image/webp", "image/gif"];
+export const VIDEO_TYPES = [
+  "video/mp4",
+  "video/webm",
+  "video/quicktime",
+  "video/x-matroska",
+  "video/ogg",
+];
@@ -0,0 +1,82 @@
+import { string, objectId, boolean } from "../utils/validation.js";
+import { ROLES } from "../config/roles.config.js";
+import { JOB_STATUSES } from "../models/job.model.js";
+
+export const ADMIN_QUEUES = ["videos", "comments", "failed"];
+
+export const listUsersSchema = {
+  query: {
+    q: string({ max: 100 }),
+    role: string({ oneOf: ROLES }),
+    banned: boolean(),
+  },
+};
+
+export const userParamSchema = {
+  params: { id: objectId({ required: true }) },
+};
+
+export const setRoleSchema = {
+  params: { id: objectId({ required: true }) },
+  body: { role: string({ required: true, oneOf: ROLES }) },
+};
+
+export const banUserSchema = {
+  params: { id: objectId({ required: true }) },
+  body: { reason: string({ required: true, max: 500 }) },
+};
+
+export const videoParamSchema = {
+  params: { id: objectId({ required: true }) },
+};
+
+export const commentParamSchema = {
+  params: { id: objectId({ required: true }) },
+};
+
+export const queueSchema = {
+  params: { queue: string({ required: true, oneOf: ADMIN_QUEUES }) },
+};
+
+export const listReportsSchema = {
+  query: {
+    status: string({ oneOf: ["open", "resolved", "dismissed"] }),
+    targetType: string({ oneOf: ["video", "comment"] }),
+  },
+};
+
+export const reportParamSchema = {
+  params: { id: objectId({ required: true }) },
+};
+
+export const resolveReportSchema = {
+  params: { id: objectId({ required: true }) },
+  body: {
+    action: string({ required: true, oneOf: ["remove", "hide"] }),
+    note: string({ max: 1000 }),
+  },
+};
+
+export const dismissReportSchema = {
+  params: { id: objectId({ required: true }) },
+  body: { note: string({ max: 1000 }) },
+};
+
+export const listAuditSchema = {
+  query: {
+    action: string({ max: 50 }),
+    actor: objectId(),
+    target: objectId(),
+  },
+};
+
+export const listJobsSchema = {
+  query: {
+    status: string({ oneOf: JOB_STATUSES }),
+    type: string({ max: 50 }),
+  },
+};
+
+export const jobParamSchema = {
+  params: { id: objectId({ required: true }) },
+};
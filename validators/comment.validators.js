@@ -0,0 +1,30 @@
+import { string, objectId } from "../utils/validation.js";
+import { reportBody } from "./report.validators.js";
+
+const commentText = string({ required: true, max: 5000 });
+
+export const newCommentSchema = {
+  body: {
+    video_id: objectId({ required: true }),
+    commentText,
+    parent_id: objectId(),
+  },
+};
+
+export const updateCommentSchema = {
+  params: { commentId: objectId({ required: true }) },
+  body: { commentText },
+};
+
+export const commentParamSchema = {
+  params: { commentId: objectId({ required: true }) },
+};
+
+export const videoCommentsSchema = {
+  params: { videoId: objectId({ required: true }) },
+};
+
+export const reportCommentSchema = {
+  params: { commentId: objectId({ required: true }) },
+  body: reportBody,
+};
@@ -0,0 +1,45 @@
+import { string, objectId, number, objectIdList } from "../utils/validation.js";
+import { PLAYLIST_VISIBILITIES, MAX_PLAYLIST_VIDEOS } from "../models/playlist.model.js";
+
+const playlistFields = (required) => ({
+  title: string({ required, max: 150 }),
+  description: string({ max: 5000 }),
+  visibility: string({ oneOf: PLAYLIST_VISIBILITIES }),
+});
+
+export const createPlaylistSchema = {
+  body: playlistFields(true),
+};
+
+export const updatePlaylistSchema = {
+  params: { id: objectId({ required: true }) },
+  body: playlistFields(false),
+};
+
+export const playlistParamSchema = {
+  params: { id: objectId({ required: true }) },
+};
+
+export const channelPlaylistsSchema = {
+  params: { channelId: objectId({ required: true }) },
+};
+
+export const addVideoSchema = {
+  params: { id: objectId({ required: true }) },
+  body: {
+    videoId: objectId({ required: true }),
+    position: number({ integer: true, min: 0 }),
+  },
+};
+
+export const playlistVideoSchema = {
+  params: {
+    id: objectId({ required: true }),
+    videoId: objectId({ required: true }),
+  },
+};
+
+export const reorderPlaylistSchema = {
+  params: { id: objectId({ required: true }) },
+  body: { videos: objectIdList({ required: true, maxItems: MAX_PLAYLIST_VIDEOS }) },
+};
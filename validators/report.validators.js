@@ -0,0 +1,8 @@
+import { string } from "../utils/validation.js";
+import { REPORT_REASONS } from "../models/report.model.js";
+
+// body shared by the video and comment report routes
+export const reportBody = {
+  reason: string({ required: true, oneOf: REPORT_REASONS }),
+  details: string({ max: 1000 }),
+};
@@ -0,0 +1,79 @@
+import { string, secret, email, objectId, boolean, file, IMAGE_TYPES } from "../utils/validation.js";
+
+const logoFile = file({ required: true, types: IMAGE_TYPES, maxSizeMb: 5 });
+
+export const signupSchema = {
+  body: {
+    channelName: string({ required: true, max: 50 }),
+    email: email({ required: true }),
+    password: secret({ required: true, min: 8, max: 128 }),
+    phone: string({ required: true, max: 20 }),
+  },
+  files: { logoUrl: logoFile },
+};
+
+// accounts created before signup validated emails must still be able to log in
+export const loginSchema = {
+  body: {
+    email: string({ required: true, max: 254 }),
+    password: secret({ required: true, max: 128 }),
+  },
+};
+
+export const refreshSchema = {
+  body: { refreshToken: secret({ required: true, max: 200 }) },
+};
+
+export const tokenSchema = {
+  body: { token: secret({ required: true, max: 200 }) },
+};
+
+export const forgotPasswordSchema = {
+  body: { email: string({ required: true, max: 254 }) },
+};
+
+export const resetPasswordSchema = {
+  body: {
+    token: secret({ required: true, max: 200 }),
+    newPassword: secret({ required: true, min: 8, max: 128 }),
+  },
+};
+
+export const channelParamSchema = {
+  params: { channelId: objectId({ required: true }) },
+};
+
+export const userParamSchema = {
+  params: { id: objectId({ required: true }) },
+};
+
+export const updateProfileSchema = {
+  body: {
+    channelName: string({ max: 50 }),
+    phone: string({ max: 20 }),
+  },
+};
+
+export const changePasswordSchema = {
+  body: {
+    currentPassword: secret({ required: true, max: 128 }),
+    newPassword: secret({ required: true, min: 8, max: 128 }),
+  },
+};
+
+export const deleteAccountSchema = {
+  body: { password: secret({ required: true, max: 128 }) },
+};
+
+export const changeLogoSchema = {
+  files: { logoUrl: logoFile },
+};
+
+export const historySchema = {
+  query: { inProgress: boolean() },
+};
+
+// a video in one of the user's own lists: history or watch later
+export const libraryEntrySchema = {
+  params: { videoId: objectId({ required: true }) },
+};
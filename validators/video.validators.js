@@ -0,0 +1,133 @@
+import {
+  string,
+  objectId,
+  number,
+  date,
+  boolean,
+  list,
+  file,
+  IMAGE_TYPES,
+  VIDEO_TYPES,
+} from "../utils/validation.js";
+import { reportBody } from "./report.validators.js";
+import { VIDEO_VISIBILITIES } from "../models/video.model.js";
+import { MAX_UPLOAD_CHUNK_MB, MAX_VIDEO_UPLOAD_MB } from "../config/upload.config.js";
+import { THUMBNAIL_POSITIONS } from "../config/transcode.config.js";
+
+const MB = 1024 * 1024;
+
+const videoFields = (required) => ({
+  title: string({ required, max: 100 }),
+  description: string({ required, max: 5000 }),
+  category: string({ required, max: 50 }),
+  tags: list({ maxItems: 30, itemMax: 40 }),
+  visibility: string({ oneOf: VIDEO_VISIBILITIES }),
+  draft: boolean(),
+  publishAt: date(),
+});
+
+const thumbnailFile = (required) => file({ required, types: IMAGE_TYPES, maxSizeMb: 5 });
+
+export const uploadVideoSchema = {
+  body: videoFields(true),
+  files: {
+    video: (value, field) =>
+      file({ required: true, types: VIDEO_TYPES, maxSizeMb: MAX_VIDEO_UPLOAD_MB })(value, field),
+    // candidates are generated from the video when left out
+    thumbnail: thumbnailFile(false),
+  },
+};
+
+export const updateVideoSchema = {
+  params: { id: objectId({ required: true }) },
+  body: videoFields(false),
+  files: { thumbnail: thumbnailFile(false) },
+};
+
+export const createUploadSchema = {
+  body: {
+    filename: string({ required: true, max: 255 }),
+    mimeType: string({ required: true, oneOf: VIDEO_TYPES }),
+    size: (value, field) =>
+      number({ required: true, integer: true, min: 1, max: MAX_VIDEO_UPLOAD_MB * MB })(value, field),
+  },
+};
+
+export const uploadParamSchema = {
+  params: { uploadId: objectId({ required: true }) },
+};
+
+export const uploadChunkSchema = {
+  params: { uploadId: objectId({ required: true }) },
+  headers: {
+    "upload-offset": number({ required: true, integer: true, min: 0 }),
+    "content-length": number({ required: true, integer: true, min: 1, max: MAX_UPLOAD_CHUNK_MB * MB }),
+  },
+};
+
+// the assembled file stands in for the `video` field of a regular upload
+export const completeUploadSchema = {
+  params: { uploadId: objectId({ required: true }) },
+  body: videoFields(true),
+  files: { thumbnail: thumbnailFile(false) },
+};
+
+export const videoParamSchema = {
+  params: { id: objectId({ required: true }) },
+};
+
+export const channelVideosSchema = {
+  params: { channelId: objectId({ required: true }) },
+};
+
+export const chooseThumbnailSchema = {
+  params: { id: objectId({ required: true }) },
+  body: {
+    candidate: number({ required: true, integer: true, min: 0, max: THUMBNAIL_POSITIONS.length - 1 }),
+  },
+};
+
+export const categoryParamSchema = {
+  params: { category: string({ required: true, max: 50 }) },
+};
+
+export const tagParamSchema = {
+  params: { tag: string({ required: true, max: 40 }) },
+};
+
+export const hlsFileSchema = {
+  params: {
+    id: objectId({ required: true }),
+    rendition: string({ required: true, pattern: /^[\w-]+$/ }),
+    file: string({ required: true, pattern: /^(index\.m3u8|seg_\d+\.ts)$/ }),
+  },
+};
+
+export const reactionSchema = {
+  body: { videoId: objectId({ required: true }) },
+};
+
+export const searchSchema = {
+  query: {
+    q: string({ required: true, max: 200 }),
+    category: string({ max: 50 }),
+    uploader: objectId(),
+    from: date(),
+    to: date(),
+    minDuration: number({ min: 0 }),
+    maxDuration: number({ min: 0 }),
+  },
+};
+
+export const reportVideoSchema = {
+  params: { id: objectId({ required: true }) },
+  body: reportBody,
+};
+
+export const progressSchema = {
+  params: { id: objectId({ required: true }) },
+  body: {
+    position: number({ required: true, min: 0 }),
+    duration: number({ min: 0 }),
+  },
+};
@@ -0,0 +1,23 @@
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+
+import { ConnectDB } from "./config/db.config.js";
+import { startWorker, stopWorker } from "./services/queue.service.js";
+import { JOB_HANDLERS } from "./services/jobs.service.js";
+
+dotenv.config();
+
+// runs background jobs apart from the API, which then starts with JOB_WORKER=off
+await ConnectDB();
+startWorker(JOB_HANDLERS);
+console.log("Job worker started");
+
+const shutdown = async () => {
+  console.log("Job worker stopping after the running jobs");
+  await stopWorker();
+  await mongoose.disconnect();
+  process.exit(0);
+};
+
+process.once("SIGINT", shutdown);
+process.once("SIGTERM", shutdown);